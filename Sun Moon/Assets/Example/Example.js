@@ -20,47 +20,27 @@ if(script.infoText){
 
 
 
-// get moon data (once)
+// keep the moon image in the direction of the real moon, at its real size (the image is 2 wide)
 var moonData;
-SunMoonTracker.getMoon(function(info){
+SunMoonTracker.createSkyAnchor(script.moon, "Moon", {camera:script.cam, size:2, onUpdate:function(info){
+    if(!moonData) print("Moon phase: " + info.phaseName + " (" + Math.round(info.illumination*100) + "% illuminated, " + info.age.toFixed(1) + " days old)");
     moonData = info;
-}, function(err){ print(err); }); // print any errors
+}, onFail:print}); // print any errors
 
 
-// get sun data (once)
-var sunData;
-SunMoonTracker.getSun(function(info){
-    sunData = info;
-    if(info.altitude > 0) script.directionalLight.getTransform().setWorldRotation(info.directionalRot); // if the sun is above the horizon, rotate the directional light to align
-}, function(err){ print(err); }); // print any errors
+// light the scene like the real sun (direction, colour and intensity, dark when the sun is down)
+const lightRig = SunMoonTracker.createLightRig({sunLight:script.directionalLight, onFail:print}); // print any errors
 
 
 
 
 // on each frame
 script.createEvent("UpdateEvent").bind(function(){
+    const sunData = lightRig.sunWatch.info;
     if(sunData){
         // print the current screen position of the sun
         const sunScreenPos = SunMoonTracker.worldToScreen(sunData.position);
         const inFrontText = sunScreenPos.isInFront ? " (in front of camera) \t" : " (behind the camera) \t";
         print("Sun position" + inFrontText + sunScreenPos.position.toString());
     }
-
-    // hide moon if no tracking data yet
-    script.moon.enabled = !!moonData;
-    
-    if(moonData){
-        // re-calculate an optimal position for the moon, to make it appear as if the moon is infinitely far away without it getting clipped by render distance
-        const userPosition = script.cam.getTransform().getWorldPosition();      // get the user's position
-        const dir = moonData.position.sub(userPosition).normalize();            // normalized direction from user to moon
-    
-        // dynamically scale the moon depending on how far away it will be placed
-        const moonScale = 100 * (script.cam.far/1000);                                  // moon scale=100 at camera far=1000. adapt to any render distance
-        script.moon.getTransform().setWorldScale( vec3.one().uniformScale(moonScale) ); // apply scale
-    
-        // set moon position
-        const moonOffset = dir.uniformScale(script.cam.far - moonScale);        // relative position for moon, at render distance minus margin
-        const moonPosition = userPosition.add(moonOffset);                      // offset from user
-        script.moon.getTransform().setWorldPosition(moonPosition);              // set moon position
-    }
 });
\ No newline at end of file
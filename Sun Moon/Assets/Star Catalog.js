@@ -0,0 +1,409 @@
+// Max van Leeuwen
+//  maxvanleeuwen.com
+
+// Star catalog for Sun Moon Tracker 🌞🌙
+// The brightest stars in the sky (magnitude 3.5 and brighter) and the constellation line figures.
+// Positions are right ascension and declination in degrees (J2000). Star data is from the Hipparcos catalog (ids are Hipparcos numbers), constellation figures are from d3-celestial (Olaf Frohn).
+
+
+
+// stars: hipparcos id, name, bayer designation, constellation, ra, dec, magnitude (sorted from bright to faint)
+const starData = [
+        [32349, "Sirius", "α", "CMa", 101.2872, -16.7161, -1.44],
+        [30438, "Canopus", "α", "Car", 95.988, -52.6957, -0.62],
+        [69673, "Arcturus", "α", "Boo", 213.9153, 19.1824, -0.05],
+        [71683, "Rigil Kentaurus", "α1", "Cen", 219.9021, -60.834, -0.01],
+        [91262, "Vega", "α", "Lyr", 279.2347, 38.7837, 0.03],
+        [24608, "Capella", "α", "Aur", 79.1723, 45.998, 0.08],
+        [24436, "Rigel", "β", "Ori", 78.6345, -8.2016, 0.18],
+        [37279, "Procyon", "α", "CMi", 114.8255, 5.225, 0.4],
+        [7588, "Achernar", "α", "Eri", 24.4285, -57.2368, 0.45],
+        [27989, "Betelgeuse", "α", "Ori", 88.7929, 7.4071, 0.45],
+        [68702, "Hadar", "β", "Cen", 210.9559, -60.373, 0.61],
+        [97649, "Altair", "α", "Aql", 297.6958, 8.8683, 0.76],
+        [60718, "Acrux", "α1", "Cru", 186.6496, -63.0991, 0.77],
+        [21421, "Aldebaran", "α", "Tau", 68.9802, 16.5093, 0.87],
+        [65474, "Spica", "α", "Vir", 201.2982, -11.1613, 0.98],
+        [80763, "Antares", "α", "Sco", 247.3519, -26.432, 1.06],
+        [37826, "Pollux", "β", "Gem", 116.329, 28.0262, 1.16],
+        [113368, "Fomalhaut", "α", "PsA", 344.4127, -29.6222, 1.17],
+        [62434, "Mimosa", "β", "Cru", 191.9303, -59.6888, 1.25],
+        [102098, "Deneb", "α", "Cyg", 310.358, 45.2803, 1.25],
+        [71681, "Toliman", "α2", "Cen", 219.8962, -60.8372, 1.35],
+        [49669, "Regulus", "α", "Leo", 152.093, 11.9672, 1.36],
+        [33579, "Adhara", "ε", "CMa", 104.6565, -28.9721, 1.5],
+        [36850, "Castor", "α", "Gem", 113.6494, 31.8883, 1.58],
+        [61084, "Gacrux", "γ", "Cru", 187.7915, -57.1132, 1.59],
+        [85927, "Shaula", "λ", "Sco", 263.4022, -37.1038, 1.62],
+        [25336, "Bellatrix", "γ", "Ori", 81.2828, 6.3497, 1.64],
+        [25428, "Elnath", "β", "Tau", 81.573, 28.6075, 1.65],
+        [45238, "Miaplacidus", "β", "Car", 138.2999, -69.7172, 1.67],
+        [26311, "Alnilam", "ε", "Ori", 84.0534, -1.2019, 1.69],
+        [109268, "Alnair", "α", "Gru", 332.0583, -46.961, 1.73],
+        [26727, "Alnitak", "ζ", "Ori", 85.1897, -1.9426, 1.74],
+        [39953, "Regor", "γ2", "Vel", 122.3831, -47.3366, 1.75],
+        [62956, "Alioth", "ε", "UMa", 193.5073, 55.9598, 1.76],
+        [15863, "Mirfak", "α", "Per", 51.0807, 49.8612, 1.79],
+        [90185, "Kaus Australis", "ε", "Sgr", 276.043, -34.3846, 1.79],
+        [54061, "Dubhe", "α", "UMa", 165.932, 61.751, 1.81],
+        [34444, "Wezen", "δ", "CMa", 107.0979, -26.3932, 1.83],
+        [67301, "Alkaid", "η", "UMa", 206.8852, 49.3133, 1.85],
+        [41037, "Avior", "ε", "Car", 125.6285, -59.5095, 1.86],
+        [86228, "Sargas", "θ", "Sco", 264.3297, -42.9978, 1.86],
+        [28360, "Menkalinan", "β", "Aur", 89.8822, 44.9474, 1.9],
+        [82273, "Atria", "α", "TrA", 252.1662, -69.0277, 1.91],
+        [31681, "Alhena", "γ", "Gem", 99.4279, 16.3993, 1.93],
+        [42913, "Alsephina", "δ", "Vel", 131.1759, -54.7088, 1.93],
+        [100751, "Peacock", "α", "Pav", 306.4119, -56.7351, 1.94],
+        [11767, "Polaris", "α", "UMi", 37.9545, 89.2641, 1.97],
+        [30324, "Mirzam", "β", "CMa", 95.6749, -17.9559, 1.98],
+        [46390, "Alphard", "α", "Hya", 141.8968, -8.6586, 1.99],
+        [9884, "Hamal", "α", "Ari", 31.7934, 23.4624, 2.01],
+        [50583, "Algieba", "γ1", "Leo", 154.9931, 19.8415, 2.01],
+        [3419, "Diphda", "β", "Cet", 10.8974, -17.9866, 2.04],
+        [92855, "Nunki", "σ", "Sgr", 283.8164, -26.2967, 2.05],
+        [68933, "Menkent", "θ", "Cen", 211.6706, -36.37, 2.06],
+        [677, "Alpheratz", "α", "And", 2.0969, 29.0904, 2.07],
+        [5447, "Mirach", "β", "And", 17.433, 35.6206, 2.07],
+        [27366, "Saiph", "κ", "Ori", 86.9391, -9.6696, 2.07],
+        [72607, "Kochab", "β", "UMi", 222.6764, 74.1555, 2.07],
+        [112122, "Tiaki", "β", "Gru", 340.6669, -46.8846, 2.07],
+        [86032, "Rasalhague", "α", "Oph", 263.7336, 12.56, 2.08],
+        [14576, "Algol", "β", "Per", 47.0422, 40.9556, 2.09],
+        [9640, "Almach", "γ1", "And", 30.9748, 42.3297, 2.1],
+        [57632, "Denebola", "β", "Leo", 177.2649, 14.5721, 2.14],
+        [4427, "Navi", "γ", "Cas", 14.1772, 60.7167, 2.15],
+        [61932, "Muhlifain", "γ", "Cen", 190.3793, -48.9599, 2.2],
+        [39429, "Naos", "ζ", "Pup", 120.896, -40.0031, 2.21],
+        [45556, "Aspidiske", "ι", "Car", 139.2725, -59.2752, 2.21],
+        [76267, "Alphecca", "α", "CrB", 233.672, 26.7147, 2.22],
+        [44816, "Suhail", "λ", "Vel", 136.999, -43.4326, 2.23],
+        [65378, "Mizar", "ζ", "UMa", 200.9814, 54.9254, 2.23],
+        [100453, "Sadr", "γ", "Cyg", 305.5571, 40.2567, 2.23],
+        [3179, "Shedar", "α", "Cas", 10.1268, 56.5373, 2.24],
+        [87833, "Eltanin", "γ", "Dra", 269.1515, 51.4889, 2.24],
+        [25930, "Mintaka", "δ", "Ori", 83.0017, -0.2991, 2.25],
+        [746, "Caph", "β", "Cas", 2.2945, 59.1498, 2.28],
+        [66657, "", "ε", "Cen", 204.9719, -53.4664, 2.29],
+        [78401, "Dschubba", "δ", "Sco", 240.0834, -22.6217, 2.29],
+        [82396, "Larawag", "ε", "Sco", 252.5409, -34.2932, 2.29],
+        [71860, "Men", "α", "Lup", 220.4823, -47.3882, 2.3],
+        [71352, "", "η", "Cen", 218.8768, -42.1578, 2.33],
+        [53910, "Merak", "β", "UMa", 165.4603, 56.3824, 2.34],
+        [72105, "Izar", "ε", "Boo", 221.2467, 27.0742, 2.35],
+        [107315, "Enif", "ε", "Peg", 326.0465, 9.875, 2.38],
+        [86670, "Mula", "κ", "Sco", 265.622, -39.03, 2.39],
+        [2081, "Ankaa", "α", "Phe", 6.571, -42.306, 2.4],
+        [58001, "Phecda", "γ", "UMa", 178.4577, 53.6948, 2.41],
+        [84012, "Sabik", "η", "Oph", 257.5945, -15.7249, 2.43],
+        [113881, "Scheat", "β", "Peg", 345.9436, 28.0828, 2.44],
+        [35904, "Aludra", "η", "CMa", 111.0238, -29.3031, 2.45],
+        [105199, "Alderamin", "α", "Cep", 319.6449, 62.5856, 2.45],
+        [45941, "Markeb", "κ", "Vel", 140.5284, -55.0107, 2.47],
+        [102488, "Aljanah", "ε", "Cyg", 311.5528, 33.9703, 2.48],
+        [113963, "Markab", "α", "Peg", 346.1902, 15.2053, 2.49],
+        [14135, "Menkar", "α", "Cet", 45.5699, 4.0897, 2.54],
+        [81377, "Saik", "ζ", "Oph", 249.2897, -10.5671, 2.54],
+        [68002, "Alnair", "ζ", "Cen", 208.8849, -47.2884, 2.55],
+        [54872, "Zosma", "δ", "Leo", 168.5271, 20.5237, 2.56],
+        [78820, "Acrab", "β1", "Sco", 241.3593, -19.8055, 2.56],
+        [25985, "Arneb", "α", "Lep", 83.1826, -17.8223, 2.58],
+        [59196, "", "δ", "Cen", 182.0896, -50.7224, 2.58],
+        [59803, "Gienah", "γ", "Crv", 183.9515, -17.5419, 2.58],
+        [93506, "Ascella", "ζ", "Sgr", 285.653, -29.8801, 2.6],
+        [74785, "Zubeneschamali", "β", "Lib", 229.2517, -9.3829, 2.61],
+        [77070, "Unukalhai", "α", "Ser", 236.067, 6.4256, 2.63],
+        [8903, "Sheratan", "β", "Ari", 28.66, 20.808, 2.64],
+        [26634, "Phact", "α", "Col", 84.9122, -34.0741, 2.65],
+        [28380, "Mahasim", "θ", "Aur", 89.9303, 37.2126, 2.65],
+        [61359, "Kraz", "β", "Crv", 188.5968, -23.3968, 2.65],
+        [6686, "Ruchbah", "δ", "Cas", 21.454, 60.2353, 2.66],
+        [67927, "Muphrid", "η", "Boo", 208.6712, 18.3977, 2.68],
+        [73273, "KeKouan", "β", "Lup", 224.633, -43.134, 2.68],
+        [23015, "Hassaleh", "ι", "Aur", 74.2484, 33.1661, 2.69],
+        [52727, "", "μ", "Vel", 161.6924, -49.4203, 2.69],
+        [61585, "", "α", "Mus", 189.2959, -69.1356, 2.69],
+        [85696, "Lesath", "υ", "Sco", 262.691, -37.2958, 2.7],
+        [35264, "", "π", "Pup", 109.2857, -37.0975, 2.71],
+        [89931, "Kaus Media", "δ", "Sgr", 275.2485, -29.8281, 2.72],
+        [97278, "Tarazed", "γ", "Aql", 296.5649, 10.6133, 2.72],
+        [79593, "Yed Prior", "δ", "Oph", 243.5864, -3.6943, 2.73],
+        [80331, "Athebyne", "η", "Dra", 245.9979, 61.5142, 2.73],
+        [52419, "", "θ", "Car", 160.7392, -64.3945, 2.74],
+        [61941, "Porrima", "γ", "Vir", 190.4152, -1.4494, 2.74],
+        [26241, "Hatysa", "ι", "Ori", 83.8583, -5.9099, 2.75],
+        [65109, "", "ι", "Cen", 200.1492, -36.7123, 2.75],
+        [72622, "Zubenelgenubi", "α2", "Lib", 222.7196, -16.0418, 2.75],
+        [86742, "Cebalrai", "β", "Oph", 265.8681, 4.5673, 2.76],
+        [23875, "Cursa", "β", "Eri", 76.9624, -5.0864, 2.78],
+        [80816, "Kornephoros", "β", "Her", 247.555, 21.4896, 2.78],
+        [84345, "Rasalgethi", "α1", "Her", 258.6619, 14.3903, 2.78],
+        [59747, "Imai", "δ", "Cru", 183.7863, -58.7489, 2.79],
+        [85670, "Rastaban", "β", "Dra", 262.6082, 52.3014, 2.79],
+        [76297, "", "γ", "Lup", 233.7852, -41.1668, 2.8],
+        [25606, "Nihal", "β", "Lep", 82.0613, -20.7594, 2.81],
+        [81693, "Rutilicus", "ζ", "Her", 250.3215, 31.6027, 2.81],
+        [2021, "", "β", "Hyi", 6.4378, -77.2542, 2.82],
+        [81266, "Paikauhale", "τ", "Sco", 248.9706, -28.216, 2.82],
+        [90496, "Kaus Borealis", "λ", "Sgr", 276.9927, -25.4217, 2.82],
+        [1067, "Algenib", "γ", "Peg", 3.309, 15.1836, 2.83],
+        [39757, "Tureis", "ρ", "Pup", 121.886, -24.3043, 2.83],
+        [77952, "", "β", "TrA", 238.7857, -63.4307, 2.83],
+        [18246, "Atik", "ζ", "Per", 58.533, 31.8836, 2.84],
+        [85258, "", "β", "Ara", 261.325, -55.5299, 2.84],
+        [85792, "Choo", "α", "Ara", 262.9604, -49.8761, 2.84],
+        [17702, "Alcyone", "η", "Tau", 56.8712, 24.1051, 2.85],
+        [63608, "Vindemiatrix", "ε", "Vir", 195.5442, 10.9592, 2.85],
+        [107556, "Deneb Algedi", "δ", "Cap", 326.7602, -16.1273, 2.85],
+        [9236, "", "α", "Hyi", 29.6925, -61.5699, 2.86],
+        [97165, "Fawaris", "δ", "Cyg", 296.2437, 45.1308, 2.86],
+        [30343, "Tejat", "μ", "Gem", 95.7401, 22.5136, 2.87],
+        [74946, "", "γ", "TrA", 229.7274, -68.6795, 2.87],
+        [110130, "", "α", "Tuc", 334.6254, -60.2596, 2.87],
+        [13847, "Acamar", "θ1", "Eri", 44.5653, -40.3047, 2.88],
+        [94141, "Albaldah", "π", "Sgr", 287.441, -21.0236, 2.88],
+        [36188, "Gomeisa", "β", "CMi", 111.7877, 8.2893, 2.89],
+        [63125, "Cor Caroli", "α2", "CVn", 194.0069, 38.3184, 2.89],
+        [78265, "Fang", "π", "Sco", 239.713, -26.1141, 2.89],
+        [18532, "", "ε", "Per", 59.4635, 40.0102, 2.9],
+        [80112, "Alniyat", "σ", "Sco", 245.2972, -25.5928, 2.9],
+        [106278, "Sadalsuud", "β", "Aqr", 322.8897, -5.5712, 2.9],
+        [14328, "", "γ", "Per", 46.1991, 53.5064, 2.91],
+        [48002, "", "υ", "Car", 146.7755, -65.072, 2.92],
+        [112158, "Matar", "η", "Peg", 340.7506, 30.2212, 2.93],
+        [32768, "", "τ", "Pup", 102.484, -50.6146, 2.94],
+        [60965, "Algorab", "δ", "Crv", 187.4661, -16.5154, 2.94],
+        [109074, "Sadalmelik", "α", "Aqr", 331.446, -0.3199, 2.95],
+        [18543, "Zaurak", "γ", "Eri", 59.5074, -13.5085, 2.97],
+        [26451, "Tianguan", "ζ", "Tau", 84.4112, 21.1425, 2.97],
+        [47908, "Algenubi", "ε", "Leo", 146.4628, 23.7743, 2.97],
+        [88635, "Alnasl", "γ2", "Sgr", 271.452, -30.4241, 2.98],
+        [64962, "", "γ", "Hya", 199.7304, -23.1715, 2.99],
+        [87073, "Girtab", "ι1", "Sco", 266.8962, -40.127, 2.99],
+        [93747, "Okab", "ζ", "Aql", 286.3525, 13.8635, 2.99],
+        [10064, "Mizan", "β", "Tri", 32.3859, 34.9873, 3],
+        [54539, "", "ψ", "UMa", 167.4159, 44.4985, 3],
+        [75097, "Pherkad", "γ", "UMi", 230.1821, 71.834, 3],
+        [82514, "Xamidimura", "μ1", "Sco", 252.9676, -38.0474, 3],
+        [108085, "Aldhanab", "γ", "Gru", 328.4822, -37.3649, 3],
+        [17358, "", "δ", "Per", 55.7313, 47.7876, 3.01],
+        [30122, "Furud", "ζ", "CMa", 95.0783, -30.0634, 3.02],
+        [33977, "Al Zara", "ο2", "CMa", 105.7561, -23.8333, 3.02],
+        [59316, "Minkar", "ε", "Crv", 182.5312, -22.6198, 3.02],
+        [23416, "Almaaz", "ε", "Aur", 75.4922, 43.8233, 3.03],
+        [62322, "", "β", "Mus", 191.57, -68.1081, 3.04],
+        [71075, "Seginus", "γ", "Boo", 218.0195, 38.3083, 3.04],
+        [95947, "Albireo", "β1", "Cyg", 292.6803, 27.9597, 3.05],
+        [100345, "Dabih", "β", "Cap", 305.2528, -14.7814, 3.05],
+        [32246, "Mebsuta", "ε", "Gem", 100.983, 25.1311, 3.06],
+        [50801, "Tania Australis", "μ", "UMa", 155.5823, 41.4995, 3.06],
+        [94376, "Altais", "δ", "Dra", 288.1388, 67.6615, 3.07],
+        [89642, "Hamalwarid", "η", "Sgr", 274.4068, -36.7617, 3.1],
+        [43813, "", "ζ", "Hya", 133.8484, 5.9456, 3.11],
+        [52943, "", "ν", "Hya", 162.4062, -16.1936, 3.11],
+        [56561, "", "λ", "Cen", 173.9454, -63.0198, 3.11],
+        [101772, "Persian", "α", "Ind", 309.3918, -47.2915, 3.11],
+        [27628, "Wazn", "β", "Col", 87.74, -35.7683, 3.12],
+        [44127, "Talitha", "ι", "UMa", 134.8019, 48.0418, 3.12],
+        [83081, "", "ζ", "Ara", 254.655, -55.9901, 3.12],
+        [84379, "Sarin", "δ", "Her", 258.758, 24.8392, 3.12],
+        [73334, "Ke Kwan", "κ", "Cen", 224.7904, -42.1042, 3.13],
+        [45860, "", "α", "Lyn", 140.2638, 34.3926, 3.14],
+        [46701, "", "N", "Vel", 142.8055, -57.0344, 3.16],
+        [84380, "", "π", "Her", 258.7618, 36.8092, 3.16],
+        [31685, "", "ν", "Pup", 99.4403, -43.1959, 3.17],
+        [46853, "", "θ", "UMa", 143.2143, 51.6773, 3.17],
+        [83895, "Aldhibah", "ζ", "Dra", 257.1966, 65.7147, 3.17],
+        [92041, "Namalsadirah", "φ", "Sgr", 281.4141, -26.9908, 3.17],
+        [23767, "Haedus", "η", "Aur", 76.6287, 41.2345, 3.18],
+        [71908, "", "α", "Cir", 220.6267, -64.9751, 3.18],
+        [22449, "Tabit", "π3", "Ori", 72.46, 6.9613, 3.19],
+        [23685, "", "ε", "Lep", 76.3653, -22.371, 3.19],
+        [83000, "", "κ", "Oph", 254.4171, 9.375, 3.19],
+        [87261, "Fuyue", "G", "Sco", 267.4645, -37.0433, 3.19],
+        [104732, "", "ζ", "Cyg", 318.2341, 30.2269, 3.21],
+        [116727, "Errai", "γ", "Cep", 354.8369, 77.6323, 3.21],
+        [75141, "", "δ", "Lup", 230.343, -40.6475, 3.22],
+        [79882, "Yed Posterior", "ε", "Oph", 244.5804, -4.6925, 3.23],
+        [89962, "", "η", "Ser", 275.3275, -2.8988, 3.23],
+        [106032, "Alfirk", "β", "Cep", 322.165, 70.5607, 3.23],
+        [32607, "", "α", "Pic", 102.0477, -61.9414, 3.24],
+        [99473, "", "θ", "Aql", 302.8262, -0.8215, 3.24],
+        [36377, "", "σ", "Pup", 112.3076, -43.3014, 3.25],
+        [68895, "", "π", "Hya", 211.5929, -26.6824, 3.25],
+        [73714, "Brachium", "σ", "Lib", 226.0176, -25.282, 3.25],
+        [93194, "Sulafat", "γ", "Lyr", 284.7359, 32.6896, 3.25],
+        [17678, "", "γ", "Hyi", 56.8098, -74.239, 3.26],
+        [3092, "", "δ", "And", 9.832, 30.861, 3.27],
+        [84970, "Garafsa", "θ", "Oph", 260.5024, -24.9995, 3.27],
+        [113136, "Skat", "δ", "Aqr", 343.6626, -15.8208, 3.27],
+        [24305, "", "μ", "Lep", 78.2329, -16.2055, 3.29],
+        [50099, "", "ω", "Car", 153.4342, -70.0379, 3.29],
+        [75458, "Edasich", "ι", "Dra", 231.2324, 58.9661, 3.29],
+        [21281, "", "α", "Dor", 68.4991, -55.045, 3.3],
+        [51576, "", "p", "Car", 158.0061, -61.6853, 3.3],
+        [29655, "Propus", "η", "Gem", 93.7194, 22.5068, 3.31],
+        [85267, "", "γ", "Ara", 261.3486, -56.3777, 3.31],
+        [5165, "", "β", "Phe", 16.521, -46.7184, 3.32],
+        [14354, "Gorgonea Tertia", "ρ", "Per", 46.2941, 38.8403, 3.32],
+        [59774, "Megrez", "δ", "UMa", 183.8565, 57.0326, 3.32],
+        [84143, "", "η", "Sco", 258.0383, -43.2392, 3.32],
+        [88048, "Sinistra", "ν", "Oph", 269.7566, -9.7736, 3.32],
+        [93864, "", "τ", "Sgr", 286.735, -27.6704, 3.32],
+        [19780, "", "α", "Ret", 63.6062, -62.4739, 3.33],
+        [54879, "Chertan", "θ", "Leo", 168.56, 15.4296, 3.33],
+        [38170, "Azmidi", "ξ", "Pup", 117.3236, -24.8598, 3.34],
+        [8886, "Segin", "ε", "Cas", 28.5989, 63.6701, 3.35],
+        [25281, "Saif al Jabbar", "η", "Ori", 81.1192, -2.3971, 3.35],
+        [32362, "Alzirr", "ξ", "Gem", 101.3224, 12.8956, 3.35],
+        [41704, "Muscida", "ο", "UMa", 127.5661, 60.7182, 3.35],
+        [95501, "Almizan", "δ", "Aql", 291.3746, 3.1148, 3.36],
+        [75264, "", "ε", "Lup", 230.6703, -44.6896, 3.37],
+        [43109, "Ashlesha", "ε", "Hya", 131.6938, 6.4188, 3.38],
+        [66249, "Heze", "ζ", "Vir", 203.6733, -0.5958, 3.38],
+        [26207, "Meissa", "λ", "Ori", 83.7845, 9.9342, 3.39],
+        [50371, "", "q", "Car", 154.2707, -61.3323, 3.39],
+        [63090, "Minelauva", "δ", "Vir", 193.9009, 3.3975, 3.39],
+        [109492, "", "ζ", "Cep", 332.7137, 58.2013, 3.39],
+        [20894, "Chamukuy", "θ2", "Tau", 67.1656, 15.8709, 3.4],
+        [6867, "", "γ", "Phe", 22.0914, -43.3182, 3.41],
+        [18724, "", "λ", "Tau", 60.1701, 12.4903, 3.41],
+        [67464, "", "ν", "Cen", 207.3762, -41.6877, 3.41],
+        [74395, "", "ζ", "Lup", 228.0712, -52.0992, 3.41],
+        [102422, "Kabalfird", "η", "Cep", 311.3224, 61.8388, 3.41],
+        [112029, "Homam", "ζ", "Peg", 340.3655, 10.8314, 3.41],
+        [8796, "Mothallah", "α", "Tri", 28.2704, 29.5788, 3.42],
+        [78384, "", "η", "Lup", 240.0305, -38.3967, 3.42],
+        [86974, "", "μ", "Her", 266.6147, 27.7207, 3.42],
+        [102395, "", "β", "Pav", 311.2396, -66.2032, 3.42],
+        [45080, "", "a", "Car", 137.742, -58.9669, 3.43],
+        [50335, "Adhafera", "ζ", "Leo", 154.1726, 23.4173, 3.43],
+        [93805, "Al Thalimain Prior", "λ", "Aql", 286.5622, -4.8826, 3.43],
+        [50372, "Tania Borealis", "λ", "UMa", 154.2741, 42.9144, 3.45],
+        [3821, "Achird", "η", "Cas", 12.2762, 57.8152, 3.46],
+        [5364, "Dheneb", "η", "Cet", 17.1475, -10.1823, 3.46],
+        [38827, "", "χ", "Car", 119.1946, -52.9824, 3.46],
+        [74666, "Thiba", "δ", "Boo", 228.8757, 33.3148, 3.46],
+        [12706, "Kaffaljidhma", "γ", "Cet", 40.8252, 3.2358, 3.47],
+        [67472, "", "μ", "Cen", 207.4041, -42.4737, 3.47],
+        [49583, "Al Jabhah", "η", "Leo", 151.8331, 16.7627, 3.48],
+        [81833, "", "η", "Her", 250.724, 38.9223, 3.48],
+        [8102, "", "τ", "Cet", 26.017, -15.9375, 3.49],
+        [33856, "Unurgunite", "σ", "CMa", 105.4298, -27.9348, 3.49],
+        [55219, "Alula Borealis", "ν", "UMa", 169.6197, 33.0943, 3.49],
+        [73555, "Nekkar", "β", "Boo", 225.4865, 40.3906, 3.49],
+        [90422, "", "α", "Tel", 276.7434, -45.9685, 3.49],
+        [112623, "", "ε", "Gru", 342.1387, -51.3169, 3.49],
+        [32759, "", "κ", "CMa", 102.4602, -32.5085, 3.5],
+        [35550, "Wasat", "δ", "Gem", 110.0307, 21.9823, 3.5],
+        [112724, "", "ι", "Cep", 342.4201, 66.2004, 3.5]
+];
+
+
+
+// constellations: abbreviation, name, lines (each line is a list of ra, dec pairs)
+const constellationData = [
+        ["And", "Andromeda", [[30.9748, 42.3297, 17.433, 35.6206, 9.832, 30.861, 2.0969, 29.0904], [14.3017, 23.4176, 11.8347, 24.2672, 9.6389, 29.3118, 9.832, 30.861, 9.2202, 33.7193, 354.5342, 43.2681, 345.4803, 42.326], [354.5342, 43.2681, 355.1021, 44.3339, 354.391, 46.4582], [17.433, 35.6206, 14.1884, 38.4993, 12.4535, 41.0789, 17.3755, 47.2418, 24.4982, 48.6282], [355.1021, 44.3339, 356.5085, 46.4203]]],
+        ["Ant", "Antlia", [[142.3113, -35.9513, 156.7879, -31.0678, 164.1794, -37.1378]]],
+        ["Aps", "Apus", [[221.9655, -79.0448, 245.0867, -78.6957, 250.7694, -77.5174, 248.3628, -78.8971]]],
+        ["Aqr", "Aquarius", [[311.919, -9.4958, 313.1635, -8.9833, 322.8897, -5.5712, 331.446, -0.3199, 335.4141, -1.3873, 337.208, -0.02, 338.8391, -0.1175, 343.1536, -7.5796, 349.4759, -9.1825, 347.3617, -21.1724], [322.8897, -5.5712, 331.6093, -13.8697], [331.446, -0.3199, 334.2085, -7.7833], [337.208, -0.02, 336.3193, 1.3774], [350.7426, -20.1006, 349.4759, -9.1825, 355.4409, -17.8165]]],
+        ["Aql", "Aquila", [[296.5649, 10.6133, 297.6958, 8.8683, 298.8283, 6.4068, 302.8262, -0.8215, 298.1182, 1.0057, 291.3746, 3.1148, 286.3525, 13.8635, 297.6958, 8.8683, 291.3746, 3.1148, 286.5622, -4.8826]]],
+        ["Ara", "Ara", [[261.3486, -56.3777, 262.7746, -60.6838, 252.4465, -59.0414, 254.655, -55.9901, 254.896, -53.1604, 262.9604, -49.8761, 261.325, -55.5299]]],
+        ["Ari", "Aries", [[42.496, 27.2605, 31.7934, 23.4624, 28.66, 20.808, 28.3826, 19.2939]]],
+        ["Aur", "Auriga", [[89.8822, 44.9474, 79.1723, 45.998, 76.6287, 41.2345, 74.2484, 33.1661, 81.573, 28.6075, 89.9303, 37.2126, 89.8822, 44.9474, 89.8818, 54.2847, 79.1723, 45.998, 75.4922, 43.8233, 75.6195, 41.0758]]],
+        ["Boo", "Boötes", [[206.8156, 17.4569, 208.6712, 18.3977, 213.9153, 19.1824, 217.9575, 30.3714, 218.0195, 38.3083, 225.4865, 40.3906, 228.8757, 33.3148, 221.2467, 27.0742, 213.9153, 19.1824, 220.2873, 13.7283], [218.0195, 38.3083, 214.0959, 46.0883, 213.3659, 51.7879, 216.2992, 51.8507, 214.0959, 46.0883]]],
+        ["Cae", "Caelum", [[67.7087, -44.9537, 70.1405, -41.8638, 70.5145, -37.1443, 76.1017, -35.483]]],
+        ["Cam", "Camelopardalis", [[74.3217, 53.7521, 75.8545, 60.4422, 73.5125, 66.3427, 57.5896, 71.3323, 57.3803, 65.526, 52.2672, 59.9403], [73.5125, 66.3427, 94.7116, 69.3198, 105.0168, 76.9774]]],
+        ["Cnc", "Cancer", [[134.6218, 11.8577, 131.1712, 18.1543, 130.8214, 21.4685, 131.6666, 28.7651], [131.1712, 18.1543, 124.1288, 9.1855]]],
+        ["CVn", "Canes Venatici", [[194.0019, 38.3149, 188.4356, 41.3575]]],
+        ["CMa", "Canis Major", [[95.6749, -17.9559, 101.2872, -16.7161, 105.7561, -23.8333, 107.0979, -26.3932, 105.4298, -27.9348, 104.6565, -28.9721, 95.0783, -30.0634], [111.0238, -29.3031, 107.0979, -26.3932], [101.2872, -16.7161, 104.0343, -17.0542, 105.9396, -15.6333, 103.5475, -12.0386, 104.0343, -17.0542]]],
+        ["CMi", "Canis Minor", [[114.8255, 5.225, 111.7877, 8.2893]]],
+        ["Cap", "Capricornus", [[304.412, -12.5082, 305.2528, -14.7814, 307.2151, -17.8137, 311.5239, -25.2709, 312.9554, -26.9191, 321.6668, -22.4113, 326.7602, -16.1273, 325.0227, -16.6623, 320.5617, -16.8345, 316.4868, -17.2329, 304.412, -12.5082]]],
+        ["Car", "Carina", [[99.4403, -43.1959, 95.988, -52.6957, 138.2999, -69.7172, 153.4342, -70.0379, 160.7392, -64.3945, 158.0061, -61.6853, 154.2707, -61.3323, 139.2725, -59.2752, 125.6285, -59.5095, 119.1946, -52.9824, 122.3831, -47.3366, 131.1759, -54.7088, 139.2725, -59.2752], [160.7392, -64.3945, 166.6351, -62.4241, 167.1417, -61.9472, 168.1501, -60.3176, 167.1475, -58.975, 163.3736, -58.8532, 158.0061, -61.6853]]],
+        ["Cas", "Cassiopeia", [[28.5989, 63.6701, 21.454, 60.2353, 14.1772, 60.7167, 10.1268, 56.5373, 2.2945, 59.1498]]],
+        ["Cen", "Centaurus", [[170.2517, -54.491, 182.0896, -50.7224, 187.0099, -50.2306, 190.3793, -48.9599, 204.9719, -53.4664, 208.8849, -47.2884, 207.4041, -42.4737, 207.3762, -41.6877, 211.6706, -36.37, 218.8768, -42.1578, 224.7904, -42.1042], [207.3762, -41.6877, 200.1492, -36.7123], [219.8962, -60.8372, 204.9719, -53.4664, 210.9559, -60.373], [187.0099, -50.2306, 182.913, -52.3685, 172.942, -59.4421]]],
+        ["Cep", "Cepheus", [[307.3954, 62.9941, 311.3224, 61.8388, 319.6449, 62.5856, 325.8769, 58.78, 333.7591, 57.0436, 332.7137, 58.2013, 337.2928, 58.4152, 342.4201, 66.2004, 354.8369, 77.6323, 322.165, 70.5607, 319.6449, 62.5856], [322.165, 70.5607, 342.4201, 66.2004]]],
+        ["Cet", "Cetus", [[40.8252, 3.2358, 38.9686, 5.5932, 37.0398, 8.4601, 41.2356, 10.1141, 44.9288, 8.9074, 45.5699, 4.0897, 40.8252, 3.2358, 39.8707, 0.3285, 34.8366, -2.9776, 27.8651, -10.335, 26.017, -15.9375, 10.8974, -17.9866, 4.857, -8.8239, 17.1475, -10.1823, 21.0059, -8.1833, 27.8651, -10.335]]],
+        ["Cha", "Chamaeleon", [[124.6315, -76.9197, 158.8671, -78.6078, 161.318, -80.4696, 184.5868, -79.3122, 179.9066, -78.2218, 158.8671, -78.6078]]],
+        ["Cir", "Circinus", [[229.3785, -58.8012, 220.6267, -64.9751, 230.8444, -59.3208]]],
+        ["Col", "Columba", [[95.5285, -33.4364, 87.74, -35.7683, 84.9122, -34.0741, 82.8031, -35.4705], [87.74, -35.7683, 89.7867, -42.8151]]],
+        ["Com", "Coma Berenices", [[197.497, 17.5294, 197.9683, 27.8782, 186.7345, 28.2684]]],
+        ["CrA", "Corona Austrina", [[284.6807, -37.1074, 286.6046, -37.0634, 287.3681, -37.9045, 287.5073, -39.3408, 287.0874, -40.4967, 285.7787, -42.0951, 282.3958, -43.4341, 278.3758, -42.3125]]],
+        ["CrB", "Corona Borealis", [[233.2324, 31.3591, 231.9572, 29.1057, 233.672, 26.7147, 235.6857, 26.2956, 237.3985, 26.0684, 239.3969, 26.8779, 240.3607, 29.8511]]],
+        ["Crv", "Corvus", [[182.1034, -24.7289, 182.5312, -22.6198, 183.9515, -17.5419, 187.4661, -16.5154, 188.5968, -23.3968, 182.5312, -22.6198]]],
+        ["Crt", "Crater", [[174.1705, -9.8022, 171.1525, -10.8593, 169.8352, -14.7785, 164.9436, -18.2988, 167.9145, -22.8258, 170.8412, -18.78, 171.2205, -17.684, 176.1907, -18.3507, 179.004, -17.1508], [169.8352, -14.7785, 171.2205, -17.684]]],
+        ["Cru", "Crux", [[191.9303, -59.6888, 183.7863, -58.7489], [186.6496, -63.0991, 187.7915, -57.1132]]],
+        ["Cyg", "Cygnus", [[318.2341, 30.2269, 311.5528, 33.9703, 305.5571, 40.2567, 296.2437, 45.1308, 292.4265, 51.7298, 289.2757, 53.3685], [310.358, 45.2803, 305.5571, 40.2567, 299.0765, 35.0834, 292.6803, 27.9597]]],
+        ["Del", "Delphinus", [[308.3032, 11.3033, 309.3873, 14.5951, 309.9095, 15.9121, 311.6619, 16.1241, 310.8647, 15.0746, 309.3873, 14.5951]]],
+        ["Dor", "Dorado", [[64.0066, -51.4866, 68.4991, -55.045, 83.4063, -62.4898, 86.1932, -65.7355, 88.5252, -63.0896, 83.4063, -62.4898, 76.3777, -57.4727, 68.4991, -55.045]]],
+        ["Dra", "Draco", [[268.3822, 56.8726, 269.1515, 51.4889, 262.6082, 52.3014, 263.0668, 55.173, 268.3822, 56.8726, 288.1388, 67.6615, 275.1893, 71.3378, 257.1966, 65.7147, 245.9979, 61.5142, 240.4723, 58.5653, 231.2324, 58.9661, 211.0973, 64.3759, 188.3706, 69.7882, 172.8509, 69.3311], [275.1893, 71.3378, 275.2641, 72.7328], [288.1388, 67.6615, 297.0431, 70.2679]]],
+        ["Equ", "Equuleus", [[318.956, 5.2478, 318.6201, 10.007, 317.5854, 10.1316]]],
+        ["Eri", "Eridanus", [[76.9624, -5.0864, 71.3756, -3.2547, 69.0798, -3.3525, 62.9664, -6.8376, 59.5074, -13.5085, 56.5356, -12.1016, 55.8121, -9.7634, 53.2327, -9.4583, 44.1069, -8.8981, 41.0306, -13.8587, 41.2758, -18.5726, 45.5979, -23.6245, 49.8792, -21.7579, 53.447, -21.6329, 56.712, -23.2497, 68.8877, -30.5623, 66.0092, -34.0168, 64.4736, -33.7983, 57.3635, -36.2003, 54.2737, -40.2745, 49.9819, -43.0698, 44.5653, -40.3047, 40.1668, -39.8554, 36.7463, -47.7038, 34.1274, -51.5122, 28.9895, -51.6089, 24.4285, -57.2368]]],
+        ["For", "Fornax", [[48.0189, -28.9876, 42.2726, -32.4059, 31.1227, -29.2968]]],
+        ["Gem", "Gemini", [[93.7194, 22.5068, 95.7401, 22.5136, 100.983, 25.1311, 107.7849, 30.2452, 113.6494, 31.8883, 116.329, 28.0262, 113.9806, 26.8957, 110.0307, 21.9823, 106.0272, 20.5703, 99.4279, 16.3993, 101.3224, 12.8956], [110.0307, 21.9823, 109.5232, 16.5404]]],
+        ["Gru", "Grus", [[345.22, -52.7541, 342.1387, -51.3169, 340.6669, -46.8846, 337.4393, -43.7492, 332.0583, -46.961, 340.6669, -46.8846], [337.3174, -43.4956, 333.9038, -41.3467, 331.5287, -39.5434, 328.4822, -37.3649]]],
+        ["Her", "Hercules", [[245.4801, 19.1531, 247.555, 21.4896, 250.3215, 31.6027, 250.724, 38.9223, 248.5258, 42.437, 244.9352, 46.3134, 242.1924, 44.9349, 238.1689, 42.4515], [250.3215, 31.6027, 255.0724, 30.9264], [250.724, 38.9223, 258.7618, 36.8092], [269.0633, 37.2505, 260.9206, 37.1459, 258.7618, 36.8092, 255.0724, 30.9264, 258.758, 24.8392, 266.6147, 27.7207, 269.4412, 29.2479, 271.8856, 28.7625], [258.6619, 14.3903, 247.555, 21.4896]]],
+        ["Hor", "Horologium", [[63.5005, -42.2944, 40.6394, -50.8003, 39.3515, -52.5431, 40.1651, -54.5499, 45.9034, -59.7378, 44.6992, -64.0713]]],
+        ["Hya", "Hydra", [[131.6938, 6.4188, 132.1082, 5.8378, 130.8061, 3.3987, 129.6893, 3.3414, 129.414, 5.7038, 131.6938, 6.4188, 133.8484, 5.9456, 138.5911, 2.3143, 144.964, -1.1428, 141.8968, -8.6586, 147.8696, -14.8466, 152.647, -12.3541, 156.5226, -16.8363, 162.4062, -16.1936, 173.2505, -31.8576, 178.2272, -33.9081, 199.7304, -23.1715, 211.5929, -26.6824, 222.5721, -27.9604]]],
+        ["Hyi", "Hydrus", [[6.4378, -77.2542, 56.8098, -74.239, 39.8973, -68.2669, 35.4373, -68.6594, 28.7339, -67.6473, 29.6925, -61.5699]]],
+        ["Ind", "Indus", [[309.3918, -47.2915, 311.0097, -51.921, 313.7025, -58.4542, 329.4795, -54.9926, 319.9666, -53.4494, 309.3918, -47.2915]]],
+        ["Lac", "Lacerta", [[335.8901, 52.229, 337.8229, 50.2825, 337.3826, 47.7069, 335.2564, 46.5366, 337.6219, 43.1234, 340.1286, 44.2763, 337.3826, 47.7069, 336.1291, 49.4764, 335.8901, 52.229], [337.6219, 43.1234, 333.4697, 39.7149, 333.9924, 37.7487]]],
+        ["Leo", "Leo", [[152.093, 11.9672, 151.8331, 16.7627, 154.9931, 19.8415, 168.5271, 20.5237, 177.2649, 14.5721, 168.56, 15.4296, 152.093, 11.9672], [154.9931, 19.8415, 154.1726, 23.4173, 148.1909, 26.007, 146.4628, 23.7743]]],
+        ["LMi", "Leo Minor", [[151.8573, 35.2447, 156.4784, 33.7961, 163.3279, 34.2149, 156.9708, 36.7072, 151.8573, 35.2447, 143.5558, 36.3976]]],
+        ["Lep", "Lepus", [[91.5388, -14.9353, 89.1012, -14.1677, 86.7389, -14.822, 83.1826, -17.8223, 78.2329, -16.2055, 76.3653, -22.371, 82.0613, -20.7594, 86.1158, -22.4484, 87.8304, -20.8791], [78.3078, -12.9413, 78.2329, -16.2055, 79.8939, -13.1768]]],
+        ["Lib", "Libra", [[226.0176, -25.282, 222.7196, -16.0418, 229.2517, -9.3829, 233.8816, -14.7895, 234.256, -28.1351, 234.664, -29.7778], [222.7196, -16.0418, 233.8816, -14.7895]]],
+        ["Lup", "Lupus", [[237.7397, -33.6272, 234.9416, -34.4119, 230.4515, -36.2614, 230.343, -40.6475, 224.633, -43.134, 220.4823, -47.3882, 228.0712, -52.0992, 229.6334, -47.8753, 230.6703, -44.6896, 233.7852, -41.1668, 240.0305, -38.3967, 241.6481, -36.8023], [230.343, -40.6475, 233.7852, -41.1668]]],
+        ["Lyn", "Lynx", [[94.9058, 59.011, 104.3192, 58.4228, 111.6785, 49.2115, 125.7088, 43.1881, 135.1599, 41.7829, 139.711, 36.8026, 140.2638, 34.3926]]],
+        ["Lyr", "Lyra", [[281.1932, 37.6051, 281.0949, 39.6127, 279.2347, 38.7837, 281.1932, 37.6051, 283.6262, 36.8986, 284.7359, 32.6896, 282.52, 33.3627, 281.1932, 37.6051]]],
+        ["Men", "Mensa", [[92.5603, -74.753, 82.9709, -76.341, 73.7967, -74.9369, 75.6792, -71.3143]]],
+        ["Mic", "Microscopium", [[312.492, -33.7797, 312.1214, -43.9885, 320.1902, -40.8095, 319.4845, -32.1725, 315.3228, -32.2578, 312.492, -33.7797]]],
+        ["Mon", "Monoceros", [[115.3118, -9.5511, 122.1485, -2.9838, 107.9661, -0.4928, 97.2045, -7.0331, 93.7139, -6.2748], [107.9661, -0.4928, 101.9652, 2.4122, 95.942, 4.5929, 98.2259, 7.333, 100.2444, 9.8958]]],
+        ["Mus", "Musca", [[176.4017, -66.7288, 184.3928, -67.9607, 189.2959, -69.1356, 191.57, -68.1081, 195.5678, -71.5489, 188.1167, -72.133, 189.2959, -69.1356]]],
+        ["Nor", "Norma", [[241.6227, -45.1732, 246.796, -47.5548, 244.9601, -50.1555, 240.8037, -49.2297, 241.6227, -45.1732]]],
+        ["Oct", "Octans", [[216.7301, -83.6679, 341.5146, -81.3816, 325.3694, -77.39, 216.7301, -83.6679]]],
+        ["Oph", "Ophiuchus", [[269.7566, -9.7736, 266.9732, 2.7073, 265.8681, 4.5673, 263.7336, 12.56, 254.4171, 9.375, 247.7284, 1.9839, 243.5864, -3.6943, 244.5804, -4.6925, 249.2897, -10.5671, 257.5945, -15.7249], [254.4171, 9.375, 249.2897, -10.5671, 247.7849, -16.6127, 246.756, -18.4563, 246.0258, -20.0373, 246.3963, -23.4472], [265.8681, 4.5673, 257.5945, -15.7249, 260.5024, -24.9995, 261.8386, -29.867]]],
+        ["Ori", "Orion", [[91.893, 14.7685, 88.5958, 20.2762, 90.9799, 20.1385, 92.985, 14.2088, 90.5958, 9.6473, 88.7929, 7.4071, 81.2828, 6.3497, 73.7239, 10.1508], [74.6371, 1.714, 73.5629, 2.4407, 72.8015, 5.6051, 72.46, 6.9613, 72.653, 8.9002, 73.7239, 10.1508, 74.0928, 13.5145, 76.1423, 15.4041, 77.4248, 15.5972], [78.6345, -8.2016, 81.1192, -2.3971, 83.0017, -0.2991, 81.2828, 6.3497, 83.7845, 9.9342, 88.7929, 7.4071, 85.1897, -1.9426, 86.9391, -9.6696], [85.1897, -1.9426, 84.0534, -1.2019, 83.0017, -0.2991]]],
+        ["Pav", "Pavo", [[306.4119, -56.7351, 311.2396, -66.2032, 302.1817, -66.1821, 283.0543, -62.1876, 275.8068, -61.4939, 272.1451, -63.6686, 266.4333, -64.7239, 280.7589, -71.4281, 300.1481, -72.9105, 311.2396, -66.2032, 321.6109, -65.3662]]],
+        ["Peg", "Pegasus", [[332.4969, 33.1782, 340.7506, 30.2212, 345.9436, 28.0828, 2.0969, 29.0904, 3.309, 15.1836, 346.1902, 15.2053, 341.6733, 12.1729, 340.3655, 10.8314, 332.5499, 6.1979, 326.0465, 9.875], [346.1902, 15.2053, 345.9436, 28.0828, 342.5008, 24.6016, 341.6328, 23.5657, 331.7528, 25.3451, 326.1614, 25.645]]],
+        ["Per", "Perseus", [[56.0797, 32.2882, 58.533, 31.8836, 59.7413, 35.791, 59.4635, 40.0102, 56.2985, 42.5785, 55.7313, 47.7876, 54.1224, 48.1926, 51.0807, 49.8612, 46.1991, 53.5064, 42.6742, 55.8955, 43.5644, 52.7625, 47.2667, 49.6133, 47.374, 44.8575, 47.0422, 40.9556, 47.8224, 39.6116, 46.2941, 38.8403, 44.6903, 39.6627, 44.9162, 41.0329, 47.0422, 40.9556], [61.646, 50.3513, 63.7244, 48.4093, 62.1654, 47.7125, 55.7313, 47.7876], [47.2667, 49.6133, 41.0499, 49.2284, 25.9152, 50.6887]]],
+        ["Phe", "Phoenix", [[6.571, -42.306, 16.521, -46.7184, 22.0914, -43.3182, 22.8129, -49.0727, 17.0962, -55.2458, 16.521, -46.7184, 2.3527, -45.7474, 6.571, -42.306]]],
+        ["Pic", "Pictor", [[102.0477, -61.9414, 87.4569, -56.1667, 86.8212, -51.0665]]],
+        ["Psc", "Pisces", [[18.4373, 24.5837, 17.9152, 30.0896, 19.8666, 27.2641, 18.4373, 24.5837, 17.8634, 21.0347, 22.8709, 15.3458, 26.3485, 9.1577, 30.5118, 2.7638, 28.389, 3.1875, 25.3579, 5.4876, 22.5463, 6.1438, 18.4329, 7.5754, 15.7359, 7.8901, 12.1706, 7.5851, 359.8279, 6.8633, 354.9877, 5.6263, 351.9921, 6.379, 350.0858, 5.3813, 349.2914, 3.2823, 351.7331, 1.2556, 355.5117, 1.78, 356.598, 3.4868, 354.9877, 5.6263], [349.2914, 3.2823, 345.9692, 3.82]]],
+        ["PsA", "Piscis Austrinus", [[340.1639, -27.0436, 344.4127, -29.6222, 343.9871, -32.5396, 343.1314, -32.8755, 337.8764, -32.3461, 332.0959, -32.9885, 326.2367, -33.0258, 326.934, -30.8983, 332.0959, -32.9885, 340.1639, -27.0436]]],
+        ["Pup", "Puppis", [[99.4403, -43.1959, 109.2857, -37.0975, 113.8454, -28.3693, 114.7078, -26.8038, 117.3236, -24.8598, 119.2147, -22.8801, 121.886, -24.3043, 120.896, -40.0031, 122.3831, -47.3366], [117.3236, -24.8598, 117.0215, -25.9372, 115.952, -28.9548, 113.8454, -28.3693]]],
+        ["Pyx", "Pyxis", [[120.896, -40.0031, 130.0256, -35.3084, 130.8981, -33.1864, 132.633, -27.7098]]],
+        ["Ret", "Reticulum", [[63.6062, -62.4739, 64.121, -59.3022, 59.6865, -61.4002, 56.0499, -64.8069, 63.6062, -62.4739]]],
+        ["Sge", "Sagitta", [[295.0241, 18.0139, 296.8469, 18.5343, 299.6893, 19.4921], [295.2622, 17.476, 296.8469, 18.5343]]],
+        ["Sgr", "Sagittarius", [[274.4068, -36.7617, 276.043, -34.3846, 275.2485, -29.8281, 276.9927, -25.4217, 273.4409, -21.0588], [290.6596, -44.459, 290.9716, -40.6159, 285.653, -29.8801, 281.4141, -26.9908, 276.9927, -25.4217], [298.8154, -41.8683, 299.9341, -35.2763, 298.9598, -26.2995, 294.1768, -24.8836, 291.3187, -24.5086, 288.8851, -25.2567, 283.8164, -26.2967, 281.4141, -26.9908, 275.2485, -29.8281, 271.452, -30.4241, 276.043, -34.3846, 285.653, -29.8801, 286.735, -27.6704, 283.8164, -26.2967, 286.1708, -21.7415, 287.441, -21.0236, 289.4087, -18.9529, 290.4182, -17.8472, 290.4318, -15.955], [286.1708, -21.7415, 284.4325, -21.1067, 283.5424, -22.7448, 283.8164, -26.2967]]],
+        ["Sco", "Scorpius", [[239.713, -26.1141, 240.0834, -22.6217, 241.3593, -19.8055], [240.0834, -22.6217, 245.2972, -25.5928, 247.3519, -26.432, 248.9706, -28.216, 252.5409, -34.2932, 252.9676, -38.0474, 253.6459, -42.3613, 258.0383, -43.2392, 264.3297, -42.9978, 266.8962, -40.127, 265.622, -39.03, 263.4022, -37.1038]]],
+        ["Scl", "Sculptor", [[14.6515, -29.3574, 357.2314, -28.1303, 349.706, -32.532, 353.2427, -37.8183]]],
+        ["Sct", "Scutum", [[278.8018, -8.2441, 281.7936, -4.7479, 280.5684, -9.0525, 277.2994, -14.5658, 278.8018, -8.2441]]],
+        ["Ser", "Serpens", [[236.5469, 15.4218, 235.3877, 19.6704, 237.1849, 18.1416, 239.1133, 15.6616, 236.5469, 15.4218, 233.7006, 10.5389, 236.067, 6.4256, 237.704, 4.4777, 243.5864, -3.6943], [257.5945, -15.7249, 264.3967, -15.3986, 269.7566, -9.7736, 270.7705, -8.1803, 275.3275, -2.8988, 284.0549, 4.2036]]], // two parts: Serpens Caput (head) and Serpens Cauda (tail)
+        ["Sex", "Sextans", [[151.9845, -0.3716, 148.1268, -8.105, 157.3696, -2.7391, 157.5728, -0.637]]],
+        ["Tau", "Taurus", [[84.4112, 21.1425, 68.9802, 16.5093, 67.1656, 15.8709, 64.9483, 15.6276, 65.7337, 17.5425, 67.1542, 19.1804, 81.573, 28.6075], [64.9483, 15.6276, 60.1701, 12.4903, 51.7923, 9.7327, 60.7891, 5.9893], [51.7923, 9.7327, 51.2033, 9.0289, 54.2183, 0.4017]]],
+        ["Tel", "Telescopium", [[272.8073, -45.9544, 276.7434, -45.9685, 277.2077, -49.0706]]],
+        ["Tri", "Triangulum", [[28.2704, 29.5788, 32.3859, 34.9873, 34.3286, 33.8472, 28.2704, 29.5788]]],
+        ["TrA", "Triangulum Australe", [[252.1662, -69.0277, 238.7857, -63.4307, 229.7274, -68.6795, 252.1662, -69.0277]]],
+        ["Tuc", "Tucana", [[334.6254, -60.2596, 349.3574, -58.2357, 7.8861, -62.9582, 5.0178, -64.8748, 359.9791, -65.5771, 336.8332, -64.9664, 334.6254, -60.2596]]],
+        ["UMa", "Ursa Major", [[183.8565, 57.0326, 165.932, 61.751, 165.4603, 56.3824, 178.4577, 53.6948, 183.8565, 57.0326, 193.5073, 55.9598, 200.9814, 54.9254, 206.8852, 49.3133], [178.4577, 53.6948, 176.5126, 47.7794, 169.6197, 33.0943, 169.5468, 31.5308], [176.5126, 47.7794, 167.4159, 44.4985, 155.5823, 41.4995], [167.4159, 44.4985, 154.2741, 42.9144], [165.932, 61.751, 142.8821, 63.0619, 127.5661, 60.7182, 147.7473, 59.0387, 165.4603, 56.3824], [165.4603, 56.3824, 148.0265, 54.0643, 143.2143, 51.6773, 134.8019, 48.0418], [135.9064, 47.1565, 143.2143, 51.6773]]],
+        ["UMi", "Ursa Minor", [[236.0147, 77.7945, 244.3762, 75.7553, 230.1821, 71.834, 222.6764, 74.1555, 236.0147, 77.7945, 251.4927, 82.0373, 263.0542, 86.5865, 37.9545, 89.2641]]],
+        ["Vel", "Vela", [[131.1759, -54.7088, 140.5284, -55.0107, 149.2156, -54.5678, 161.6924, -49.4203, 153.684, -42.1219, 142.675, -40.4668, 136.999, -43.4326, 122.3831, -47.3366]]],
+        ["Vir", "Virgo", [[176.4648, 6.5294, 177.6738, 1.7647, 184.9765, -0.6668, 190.4152, -1.4494, 197.4875, -5.539, 201.2982, -11.1613, 214.0036, -6.0005, 220.7651, -5.6582], [195.5442, 10.9592, 193.9009, 3.3975, 190.4152, -1.4494], [197.4875, -5.539, 203.6733, -0.5958, 210.4116, 1.5445, 221.5622, 1.8929]]],
+        ["Vol", "Volans", [[135.6116, -66.3961, 126.4341, -66.1369, 121.9825, -68.6171, 109.2076, -67.9572, 107.1869, -70.4989, 121.9825, -68.6171, 135.6116, -66.3961]]],
+        ["Vul", "Vulpecula", [[289.0543, 21.3904, 292.1764, 24.6649, 298.3654, 24.0796, 300.2752, 27.7536, 303.9422, 27.8142]]]
+];
+
+
+
+module.exports.stars = starData.map(function(s){
+    return {id:s[0], name:s[1], bayer:s[2], constellation:s[3], ra:s[4], dec:s[5], magnitude:s[6]};
+});
+
+module.exports.constellations = constellationData.map(function(c){
+    const lines = c[2].map(function(line){
+        const points = [];
+        for(var i = 0; i < line.length; i += 2) points.push({ra:line[i], dec:line[i+1]});
+        return points;
+    });
+    return {id:c[0], name:c[1], lines};
+});
@@ -0,0 +1,1057 @@
+// Max van Leeuwen
+//  maxvanleeuwen.com
+
+// Astronomy for Sun Moon Tracker 🌞🌙
+// All sun, moon, planet and eclipse math, without any Lens Studio dependencies (plain numbers and Dates in, plain objects out).
+// Angles are in degrees and distances in cm, unless noted otherwise. 'precise' enables the high precision ephemerides (Meeus), parallax and refraction.
+
+
+
+// sun: get azimuth and altitude (degrees) based on date, lat, long (and height in m, only used when precise)
+function getSunPosition(date, latitude, longitude, height, precise){
+    const sun = precise ? getSunCoordsPrecise(date) : getSunCoords(toDays(date));
+    const position = getHorizontalPosition(sun, date, latitude, longitude, height, precise);
+    position.accuracy = precise ? .01 : .4;
+    position.magnitude = -26.74;
+    position.angularDiameter = getAngularDiameter(SUN_RADIUS_CM, position.distance);
+    return position;
+}
+
+
+// moon: get azimuth and altitude (degrees) based on date, lat, long (and height in m, only used when precise)
+function getMoonPosition(date, latitude, longitude, height, precise){
+    const moon = precise ? getMoonCoordsPrecise(date) : getMoonCoords(toDays(date));
+    const position = getHorizontalPosition(moon, date, latitude, longitude, height, precise);
+    position.accuracy = precise ? .005 : 3.5 + radToDeg(EARTH_RADIUS_CM / moon.dist) * Math.cos(degToRad(position.altitude)); // low precision is geocentric, so add the missing parallax
+    position.angularDiameter = getAngularDiameter(MOON_RADIUS_CM, position.distance);
+    return position;
+}
+
+
+// any right ascension and declination (degrees, J2000, like in star catalogs): get azimuth and altitude (degrees) based on date, lat, long
+function getRaDecPosition(ra, dec, date, latitude, longitude, height, precise){
+    const coords = precessFromJ2000(degToRad(ra), degToRad(dec), precise ? toCenturiesTT(date) : 0); // the low precision sidereal time is J2000-based, like for the planets
+    coords.dist = Infinity;
+    const position = getHorizontalPosition(coords, date, latitude, longitude, height, precise);
+    position.accuracy = precise ? .02 : .4; // no aberration when precise, and the same sidereal time as the sun when not
+    return position;
+}
+
+
+// any position in the user's sky (degrees, like the results above): get right ascension and declination (degrees, J2000) based on date, lat, long. inverse of getRaDecPosition
+function getRaDec(azimuth, altitude, date, latitude, longitude, precise){
+    const lw = degToRad(-longitude);
+    const phi = degToRad(latitude);
+    if(precise) altitude -= getRefraction(altitude - getRefraction(altitude)); // refraction is known for the true altitude, so estimate that first
+
+    const A = degToRad(azimuth - 180); // from south, like getAzAlt
+    const h = degToRad(altitude);
+    const dec = Math.asin(Math.sin(phi) * Math.sin(h) - Math.cos(phi) * Math.cos(h) * Math.cos(A));
+    const H = Math.atan2(Math.sin(A), Math.cos(A) * Math.sin(phi) + Math.tan(h) * Math.cos(phi));
+    const sidereal = precise ? getApparentSiderealTime(date, lw) : getSiderealTime(toDays(date), lw);
+
+    const coords = precessToJ2000(sidereal - H, dec, precise ? toCenturiesTT(date) : 0); // inverse of getRaDecPosition
+    return {
+        ra: ((radToDeg(coords.ra) % 360) + 360) % 360,
+        dec: radToDeg(coords.dec)
+    };
+}
+
+
+
+// convert equatorial coordinates (radians, cm) to a position in the user's sky. in high precision mode, the result is topocentric and includes refraction
+function getHorizontalPosition(coords, date, latitude, longitude, height, precise){
+    const lw = degToRad(-longitude);
+    const phi = degToRad(latitude);
+    var ra = coords.ra;
+    var dec = coords.dec;
+    var dist = coords.dist;
+    const sidereal = precise ? getApparentSiderealTime(date, lw) : getSiderealTime(toDays(date), lw);
+    var H = sidereal - ra;
+
+    // move observer from earth's center to its surface (not needed for stars)
+    if(precise && isFinite(dist)){
+        const topocentric = getTopocentric(H, dec, dist, phi, height || 0);
+        H = topocentric.H;
+        dec = topocentric.dec;
+        dist = topocentric.dist;
+        ra = sidereal - H;
+    }
+
+    const { azimuth, altitude } = getAzAlt(H, phi, dec);
+    const parallacticAngle = Math.atan2(Math.sin(H), Math.tan(phi) * Math.cos(dec) - Math.sin(dec) * Math.cos(H));
+
+    var altitudeDeg = radToDeg(altitude);
+    const refraction = getRefraction(altitudeDeg);
+    if(precise) altitudeDeg += refraction;
+
+    return {
+        azimuth: (radToDeg(azimuth) + 180) % 360,
+        altitude: altitudeDeg,
+        distance: dist,
+        ra: ((radToDeg(ra) % 360) + 360) % 360,
+        dec: radToDeg(dec),
+        parallacticAngle: radToDeg(parallacticAngle),
+        refraction: precise ? refraction : 0 // applied refraction (degrees)
+    };
+}
+
+
+
+// moon: get phase and illumination based on date (same everywhere on earth)
+function getMoonIllumination(date){
+    const d = toDays(date);
+    const sun = getSunCoords(d);
+    const moon = getMoonCoords(d);
+
+    // elongation (angle between sun and moon, seen from earth)
+    const elongation = Math.acos(Math.sin(sun.dec) * Math.sin(moon.dec) + Math.cos(sun.dec) * Math.cos(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+    // phase angle (angle between sun and earth, seen from moon)
+    const phaseAngle = Math.atan2(sun.dist * Math.sin(elongation), moon.dist - sun.dist * Math.cos(elongation));
+
+    // position angle of the bright limb, from celestial north towards east
+    const brightLimbAngle = Math.atan2(Math.cos(sun.dec) * Math.sin(sun.ra - moon.ra), Math.sin(sun.dec) * Math.cos(moon.dec) - Math.cos(sun.dec) * Math.sin(moon.dec) * Math.cos(sun.ra - moon.ra));
+
+    const fraction = (1 + Math.cos(phaseAngle)) / 2;
+    const phase = 0.5 + 0.5 * phaseAngle * (brightLimbAngle < 0 ? -1 : 1) / Math.PI; // 0=new, .25=first quarter, .5=full, .75=last quarter
+
+    return {
+        phase,
+        phaseName: getMoonPhaseName(phase),
+        phaseAngle: radToDeg(phaseAngle),
+        illumination: fraction,
+        age: phase * synodicMonth,
+        magnitude: getMoonMagnitude(radToDeg(phaseAngle)),
+        brightLimbAngle: (radToDeg(brightLimbAngle) + 360) % 360
+    };
+}
+
+
+
+// sun and moon: get rise, set, transit and twilight times based on date, lat, long
+function getTimes(date, latitude, longitude, precise){
+    if(!date) date = new Date();
+
+    // sun (analytic, around the solar transit nearest to the given date)
+    const J0 = 0.0009;
+    const lw = degToRad(-longitude);
+    const phi = degToRad(latitude);
+    const n = Math.round(toDays(date) - J0 - lw / (2 * Math.PI)); // julian cycle
+    const ds = J0 + lw / (2 * Math.PI) + n; // approximate transit
+    const sun = getSunCoords(ds);
+
+    function getSolarTransitJ(t){
+        return J2000 + t + 0.0053 * Math.sin(sun.M) - 0.0069 * Math.sin(2 * sun.L);
+    }
+    const noonJ = getSolarTransitJ(ds);
+
+    // julian date at which the sun crosses the given altitude (degrees) in the evening, null if it never does
+    function getSetJ(altitude){
+        const cosW = (Math.sin(degToRad(altitude)) - Math.sin(phi) * Math.sin(sun.dec)) / (Math.cos(phi) * Math.cos(sun.dec));
+        if(Math.abs(cosW) > 1) return null;
+        const w = Math.acos(cosW);
+        return getSolarTransitJ(J0 + (w + lw) / (2 * Math.PI) + n);
+    }
+    function getRiseSet(altitude){
+        const setJ = getSetJ(altitude);
+        if(setJ == null) return {rise:null, set:null};
+        return {rise:fromJulian(noonJ - (setJ - noonJ)), set:fromJulian(setJ)};
+    }
+
+    const horizon = getRiseSet(-0.833); // sun's upper limb on the horizon, including refraction
+    const civil = getRiseSet(-6);
+    const nautical = getRiseSet(-12);
+    const astronomical = getRiseSet(-18);
+    const golden = getRiseSet(6);
+    const blue = getRiseSet(-4);
+
+    // moon
+    const moon = getMoonTimes(date, latitude, longitude, precise);
+
+    return {
+        solarNoon: fromJulian(noonJ),
+        nadir: fromJulian(noonJ - 0.5),
+        sunrise: horizon.rise,
+        sunset: horizon.set,
+        civilDawn: civil.rise,
+        civilDusk: civil.set,
+        nauticalDawn: nautical.rise,
+        nauticalDusk: nautical.set,
+        astronomicalDawn: astronomical.rise,
+        astronomicalDusk: astronomical.set,
+        goldenHour: {
+            morning: {start:blue.rise, end:golden.rise},
+            evening: {start:golden.set, end:blue.set}
+        },
+        blueHour: {
+            morning: {start:civil.rise, end:blue.rise},
+            evening: {start:blue.set, end:civil.set}
+        },
+        moonrise: moon.rise,
+        moonset: moon.set,
+        moonTransit: moon.transit,
+        moonAlwaysUp: moon.alwaysUp,
+        moonAlwaysDown: moon.alwaysDown
+    };
+}
+
+
+// moon: get rise, set and transit times during the (device-local) day of the given date
+function getMoonTimes(date, latitude, longitude, precise){
+    const t = new Date(date);
+    t.setHours(0, 0, 0, 0);
+
+    // altitude above the moon's upper limb touching the horizon, with the standard 34' of refraction (like the sun's -0.833 degrees)
+    function getAltitude(hours){
+        const position = getMoonPosition(hoursLater(t, hours), latitude, longitude, 0, precise);
+        if(precise) return position.altitude - position.refraction + 0.5667 + position.angularDiameter / 2; // airless and topocentric, with the moon's actual radius
+        return position.altitude - 0.125; // geocentric, so the mean parallax is included
+    }
+
+    // fit a parabola through each 2-hour window and find its roots (rise/set) and peak (transit)
+    var rise;
+    var set;
+    var transit;
+    var transitAltitude = -Infinity;
+    var h0 = getAltitude(0);
+    var ye;
+    for(var i = 1; i <= 24; i += 2){
+        const h1 = getAltitude(i);
+        const h2 = getAltitude(i + 1);
+        const a = (h0 + h2) / 2 - h1;
+        const b = (h2 - h0) / 2;
+        const xe = -b / (2 * a);
+        ye = (a * xe + b) * xe + h1;
+        const d = b * b - 4 * a * h1;
+
+        if(a < 0 && Math.abs(xe) <= 1 && ye > transitAltitude){
+            transit = i + xe;
+            transitAltitude = ye;
+        }
+
+        if(d >= 0){
+            const dx = Math.sqrt(d) / (Math.abs(a) * 2);
+            var x1 = xe - dx;
+            const x2 = xe + dx;
+            var roots = 0;
+            if(Math.abs(x1) <= 1) roots++;
+            if(Math.abs(x2) <= 1) roots++;
+            if(x1 < -1) x1 = x2;
+
+            if(roots === 1){
+                if(h0 < 0) rise = i + x1;
+                else set = i + x1;
+            }else if(roots === 2){
+                if(rise == null) rise = i + (ye < 0 ? x2 : x1);
+                if(set == null) set = i + (ye < 0 ? x1 : x2);
+            }
+        }
+
+        h0 = h2;
+    }
+
+    return {
+        rise: rise != null ? hoursLater(t, rise) : null,
+        set: set != null ? hoursLater(t, set) : null,
+        transit: transit != null ? hoursLater(t, transit) : null,
+        alwaysUp: rise == null && set == null && ye > 0,
+        alwaysDown: rise == null && set == null && ye <= 0
+    };
+}
+
+
+
+// sun: right ascension, declination (radians) and distance (cm) based on days since J2000. also returns mean anomaly (M) and ecliptic longitude (L)
+function getSunCoords(d){
+    // solar mean anomaly
+    const M = degToRad(357.5291 + 0.98560028 * d);
+    // equation of center
+    const C = degToRad(1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    // ecliptic longitude
+    const L = M + C + degToRad(102.9372) + Math.PI;
+    // distance in AU
+    const distAU = 1.00014 - 0.01671 * Math.cos(M) - 0.00014 * Math.cos(2 * M + C);
+
+    const ra = Math.atan2(Math.sin(L) * Math.cos(earthTiltRad), Math.cos(L));
+    const dec = Math.asin(Math.sin(L) * Math.sin(earthTiltRad));
+
+    return { ra, dec, dist: distAU * AU_IN_CM, M, L }; // AU -> cm
+}
+
+
+// moon: right ascension, declination (radians) and distance (cm) based on days since J2000
+function getMoonCoords(d){
+    // mean longitude
+    const L = degToRad(218.316 + 13.176396 * d);
+    // mean anomaly
+    const M = degToRad(134.963 + 13.064993 * d);
+    // distance
+    const dist = 385001 - 20905 * Math.cos(M);
+    // ecliptic longitude
+    const l = L + degToRad(6.289 * Math.sin(M));
+    // ecliptic latitude (approx. always near 0)
+    const b = degToRad(5.128 * Math.sin(degToRad(93.272 + 13.229350 * d)));
+
+    const ra = Math.atan2(Math.sin(l) * Math.cos(earthTiltRad) - Math.tan(b) * Math.sin(earthTiltRad), Math.cos(l));
+    const dec = Math.asin(Math.sin(b) * Math.cos(earthTiltRad) + Math.cos(b) * Math.sin(earthTiltRad) * Math.sin(l));
+
+    return { ra, dec, dist: dist * 100000 }; // km -> cm
+}
+
+
+
+// sun (high precision): apparent right ascension, declination (radians) and distance (cm) based on date (Meeus, ch. 25)
+function getSunCoordsPrecise(date){
+    const T = toCenturiesTT(date);
+    const nutation = getNutation(T);
+
+    // geometric mean longitude, mean anomaly and eccentricity
+    const L0 = 280.46646 + 36000.76983 * T + 0.0003032 * T * T;
+    const M = degToRad(357.52911 + 35999.05029 * T - 0.0001537 * T * T);
+    const e = 0.016708634 - 0.000042037 * T - 0.0000001267 * T * T;
+
+    // equation of center
+    const C = (1.914602 - 0.004817 * T - 0.000014 * T * T) * Math.sin(M) + (0.019993 - 0.000101 * T) * Math.sin(2 * M) + 0.000289 * Math.sin(3 * M);
+    const v = M + degToRad(C); // true anomaly
+    const distAU = 1.000001018 * (1 - e * e) / (1 + e * Math.cos(v));
+
+    // apparent longitude (nutation and aberration) and true obliquity
+    const lambda = degToRad(L0 + C - 0.00569 - 0.00478 * Math.sin(nutation.omega));
+    const eps = degToRad(nutation.eps0 + 0.00256 * Math.cos(nutation.omega));
+
+    const ra = Math.atan2(Math.cos(eps) * Math.sin(lambda), Math.cos(lambda));
+    const dec = Math.asin(Math.sin(eps) * Math.sin(lambda));
+
+    return { ra, dec, dist: distAU * AU_IN_CM }; // AU -> cm
+}
+
+
+// moon (high precision): apparent right ascension, declination (radians) and distance (cm) based on date (Meeus, ch. 47)
+function getMoonCoordsPrecise(date){
+    const T = toCenturiesTT(date);
+    const nutation = getNutation(T);
+
+    // mean longitude, elongation, sun's and moon's mean anomaly, argument of latitude
+    const Lp = degToRad(218.3164477 + 481267.88123421 * T - 0.0015786 * T * T + T * T * T / 538841 - T * T * T * T / 65194000);
+    const D = degToRad(297.8501921 + 445267.1114034 * T - 0.0018819 * T * T + T * T * T / 545868 - T * T * T * T / 113065000);
+    const M = degToRad(357.5291092 + 35999.0502909 * T - 0.0001536 * T * T + T * T * T / 24490000);
+    const Mp = degToRad(134.9633964 + 477198.8675055 * T + 0.0087414 * T * T + T * T * T / 69699 - T * T * T * T / 14712000);
+    const F = degToRad(93.2720950 + 483202.0175233 * T - 0.0036539 * T * T - T * T * T / 3526000 + T * T * T * T / 863310000);
+
+    // additional arguments (venus, jupiter, flattening of the earth)
+    const A1 = degToRad(119.75 + 131.849 * T);
+    const A2 = degToRad(53.09 + 479264.29 * T);
+    const A3 = degToRad(313.45 + 481266.484 * T);
+    const E = 1 - 0.002516 * T - 0.0000074 * T * T; // decreasing eccentricity of earth's orbit
+
+    // periodic terms
+    var sumL = 3958 * Math.sin(A1) + 1962 * Math.sin(Lp - F) + 318 * Math.sin(A2);
+    var sumR = 0;
+    var sumB = -2235 * Math.sin(Lp) + 382 * Math.sin(A3) + 175 * Math.sin(A1 - F) + 175 * Math.sin(A1 + F) + 127 * Math.sin(Lp - Mp) - 115 * Math.sin(Lp + Mp);
+    for(const t of moonLongitudeTerms){
+        const arg = t[0] * D + t[1] * M + t[2] * Mp + t[3] * F;
+        const e = Math.pow(E, Math.abs(t[1]));
+        sumL += t[4] * e * Math.sin(arg);
+        sumR += t[5] * e * Math.cos(arg);
+    }
+    for(const t of moonLatitudeTerms){
+        const arg = t[0] * D + t[1] * M + t[2] * Mp + t[3] * F;
+        sumB += t[4] * Math.pow(E, Math.abs(t[1])) * Math.sin(arg);
+    }
+
+    // apparent ecliptic coordinates and true obliquity
+    const lambda = Lp + degToRad(sumL / 1000000 + nutation.dPsi);
+    const beta = degToRad(sumB / 1000000);
+    const dist = 385000.56 + sumR / 1000; // km
+    const eps = degToRad(nutation.eps0 + nutation.dEps);
+
+    const ra = Math.atan2(Math.sin(lambda) * Math.cos(eps) - Math.tan(beta) * Math.sin(eps), Math.cos(lambda));
+    const dec = Math.asin(Math.sin(beta) * Math.cos(eps) + Math.cos(beta) * Math.sin(eps) * Math.sin(lambda));
+
+    return { ra, dec, dist: dist * 100000 }; // km -> cm
+}
+
+
+// moon periodic terms (Meeus, table 47.A and 47.B)
+    // longitude and distance: D, M, M', F, sine coefficient (0.000001 degrees), cosine coefficient (0.001 km)
+    const moonLongitudeTerms = [
+        [0, 0, 1, 0, 6288774, -20905355], [2, 0, -1, 0, 1274027, -3699111], [2, 0, 0, 0, 658314, -2955968], [0, 0, 2, 0, 213618, -569925],
+        [0, 1, 0, 0, -185116, 48888], [0, 0, 0, 2, -114332, -3149], [2, 0, -2, 0, 58793, 246158], [2, -1, -1, 0, 57066, -152138],
+        [2, 0, 1, 0, 53322, -170733], [2, -1, 0, 0, 45758, -204586], [0, 1, -1, 0, -40923, -129620], [1, 0, 0, 0, -34720, 108743],
+        [0, 1, 1, 0, -30383, 104755], [2, 0, 0, -2, 15327, 10321], [0, 0, 1, 2, -12528, 0], [0, 0, 1, -2, 10980, 79661],
+        [4, 0, -1, 0, 10675, -34782], [0, 0, 3, 0, 10034, -23210], [4, 0, -2, 0, 8548, -21636], [2, 1, -1, 0, -7888, 24208],
+        [2, 1, 0, 0, -6766, 30824], [1, 0, -1, 0, -5163, -8379], [1, 1, 0, 0, 4987, -16675], [2, -1, 1, 0, 4036, -12831],
+        [2, 0, 2, 0, 3994, -10445], [4, 0, 0, 0, 3861, -11650], [2, 0, -3, 0, 3665, 14403], [0, 1, -2, 0, -2689, -7003],
+        [2, 0, -1, 2, -2602, 0], [2, -1, -2, 0, 2390, 10056], [1, 0, 1, 0, -2348, 6322], [2, -2, 0, 0, 2236, -9884],
+        [0, 1, 2, 0, -2120, 5751], [0, 2, 0, 0, -2069, 0], [2, -2, -1, 0, 2048, -4950], [2, 0, 1, -2, -1773, 4130],
+        [2, 0, 0, 2, -1595, 0], [4, -1, -1, 0, 1215, -3958], [0, 0, 2, 2, -1110, 0], [3, 0, -1, 0, -892, 3258],
+        [2, 1, 1, 0, -810, 2616], [4, -1, -2, 0, 759, -1897], [0, 2, -1, 0, -713, -2117], [2, 2, -1, 0, -700, 2354],
+        [2, 1, -2, 0, 691, 0], [2, -1, 0, -2, 596, 0], [4, 0, 1, 0, 549, -1423], [0, 0, 4, 0, 537, -1117],
+        [4, -1, 0, 0, 520, -1571], [1, 0, -2, 0, -487, -1739], [2, 1, 0, -2, -399, 0], [0, 0, 2, -2, -381, -4421],
+        [1, 1, 1, 0, 351, 0], [3, 0, -2, 0, -340, 0], [4, 0, -3, 0, 330, 0], [2, -1, 2, 0, 327, 0],
+        [0, 2, 1, 0, -323, 1165], [1, 1, -1, 0, 299, 0], [2, 0, 3, 0, 294, 0], [2, 0, -1, -2, 0, 8752]
+    ];
+
+    // latitude: D, M, M', F, sine coefficient (0.000001 degrees)
+    const moonLatitudeTerms = [
+        [0, 0, 0, 1, 5128122], [0, 0, 1, 1, 280602], [0, 0, 1, -1, 277693], [2, 0, 0, -1, 173237],
+        [2, 0, -1, 1, 55413], [2, 0, -1, -1, 46271], [2, 0, 0, 1, 32573], [0, 0, 2, 1, 17198],
+        [2, 0, 1, -1, 9266], [0, 0, 2, -1, 8822], [2, -1, 0, -1, 8216], [2, 0, -2, -1, 4324],
+        [2, 0, 1, 1, 4200], [2, 1, 0, -1, -3359], [2, -1, -1, 1, 2463], [2, -1, 0, 1, 2211],
+        [2, -1, -1, -1, 2065], [0, 1, -1, -1, -1870], [4, 0, -1, -1, 1828], [0, 1, 0, 1, -1794],
+        [0, 0, 0, 3, -1749], [0, 1, -1, 1, -1565], [1, 0, 0, 1, -1491], [0, 1, 1, 1, -1475],
+        [0, 1, 1, -1, -1410], [0, 1, 0, -1, -1344], [1, 0, 0, -1, -1335], [0, 0, 3, 1, 1107],
+        [4, 0, 0, -1, 1021], [4, 0, -1, 1, 833], [0, 0, 1, -3, 777], [4, 0, -2, 1, 671],
+        [2, 0, 0, -3, 607], [2, 0, 2, -1, 596], [2, -1, 1, -1, 491], [2, 0, -2, 1, -451],
+        [0, 0, 3, -1, 439], [2, 0, 2, 1, 422], [2, 0, -3, -1, 421], [2, 1, -1, 1, -366],
+        [2, 1, 0, 1, -351], [4, 0, 0, 1, 331], [2, -1, 1, 1, 315], [2, -2, 0, -1, 302],
+        [0, 0, 1, 3, -283], [2, 1, 1, -1, -229], [1, 1, 0, -1, 223], [1, 1, 0, 1, 223],
+        [0, 1, -2, -1, -220], [2, 1, -1, -1, -220], [1, 0, 1, 1, -185], [2, -1, -2, -1, 181],
+        [0, 1, 2, 1, -177], [4, 0, -2, -1, 176], [4, -1, -1, -1, 166], [1, 0, 1, -1, -164],
+        [4, 0, 1, -1, 132], [1, 0, -1, -1, -119], [4, -1, 0, -1, 115], [2, -2, 0, 1, 107]
+    ];
+
+
+
+// planets: keplerian elements at J2000 and their rates per century (JPL, Standish, valid 1800-2050)
+    // a (AU), e, I (degrees), L (degrees), longitude of perihelion (degrees), longitude of ascending node (degrees), magnitude at 1 AU and phase angle coefficients, expected error (degrees), equatorial radius (cm)
+    const planetElements = {
+        Mercury:    { elements:[0.38709927, 0.20563593, 7.00497902, 252.25032350, 77.45779628, 48.33076593],
+                      rates:[0.00000037, 0.00001906, -0.00594749, 149472.67411175, 0.16047689, -0.12534081],
+                      magnitude:[-0.42, 0.0380, -0.000273, 0.000002], accuracy:.05, radius:243970000 },
+        Venus:      { elements:[0.72333566, 0.00677672, 3.39467605, 181.97909950, 131.60246718, 76.67984255],
+                      rates:[0.00000390, -0.00004107, -0.00078890, 58517.81538729, 0.00268329, -0.27769418],
+                      magnitude:[-4.40, 0.0009, 0.000239, -0.00000065], accuracy:.05, radius:605180000 },
+        Mars:       { elements:[1.52371034, 0.09339410, 1.84969142, -4.55343205, -23.94362959, 49.55953891],
+                      rates:[0.00001847, 0.00007882, -0.00813131, 19140.30268499, 0.44441088, -0.29257343],
+                      magnitude:[-1.52, 0.016], accuracy:.05, radius:339620000 },
+        Jupiter:    { elements:[5.20288700, 0.04838624, 1.30439695, 34.39644051, 14.72847983, 100.47390909],
+                      rates:[-0.00011607, -0.00013253, -0.00183714, 3034.74612775, 0.21252668, 0.20469106],
+                      magnitude:[-9.40, 0.005], accuracy:.2, radius:7149200000 },
+        Saturn:     { elements:[9.53667594, 0.05386179, 2.48599187, 49.95424423, 92.59887831, 113.66242448],
+                      rates:[-0.00125060, -0.00050991, 0.00193609, 1222.49362201, -0.41897216, -0.28867794],
+                      magnitude:[-8.88], accuracy:.2, radius:6026800000 }, // without rings
+        Uranus:     { elements:[19.18916464, 0.04725744, 0.77263783, 313.23810451, 170.95427630, 74.01692503],
+                      rates:[-0.00196176, -0.00004397, -0.00242939, 428.48202785, 0.40805281, 0.04240589],
+                      magnitude:[-7.19], accuracy:.05, radius:2555900000 },
+        Neptune:    { elements:[30.06992276, 0.00859048, 1.77004347, -55.12002969, 44.96476227, 131.78422574],
+                      rates:[0.00026291, 0.00005105, 0.00035372, 218.45945325, -0.32241464, -0.01262724],
+                      magnitude:[-6.87], accuracy:.05, radius:2476400000 },
+    };
+    const earthElements = { elements:[1.00000261, 0.01671123, -0.00001531, 100.46457166, 102.93768193, 0.0],
+                            rates:[0.00000562, -0.00004392, -0.01294668, 35999.37244981, 0.32327364, 0.0] };
+
+
+// planet: get azimuth, altitude (degrees), distance (cm) and apparent magnitude based on planet name, date, lat, long
+function getPlanetPosition(name, date, latitude, longitude, height, precise){
+    const planet = planetElements[name];
+    const T = toCenturiesTT(date);
+    const p = getHeliocentricEcliptic(planet, T);
+    const earth = getHeliocentricEcliptic(earthElements, T);
+
+    // geocentric, rotated from the J2000 equinox to the equinox of date (precession, only when precise: the low precision sidereal time is J2000-based like the low precision sun and moon)
+    const precession = precise ? degToRad(1.3969713 * T) : 0;
+    const gx = p.x - earth.x;
+    const gy = p.y - earth.y;
+    const gz = p.z - earth.z;
+    const x = gx * Math.cos(precession) - gy * Math.sin(precession);
+    const y = gx * Math.sin(precession) + gy * Math.cos(precession);
+    const z = gz;
+    const distAU = Math.sqrt(x * x + y * y + z * z);
+
+    // ecliptic to equatorial
+    const eps = degToRad(getNutation(precise ? T : 0).eps0);
+    const ye = y * Math.cos(eps) - z * Math.sin(eps);
+    const ze = y * Math.sin(eps) + z * Math.cos(eps);
+    const coords = { ra: Math.atan2(ye, x), dec: Math.asin(ze / distAU), dist: distAU * AU_IN_CM };
+
+    const position = getHorizontalPosition(coords, date, latitude, longitude, height, precise);
+
+    // apparent magnitude
+    const r = Math.sqrt(p.x * p.x + p.y * p.y + p.z * p.z); // distance to sun
+    const R = Math.sqrt(earth.x * earth.x + earth.y * earth.y + earth.z * earth.z); // earth to sun
+    const phaseAngle = radToDeg(Math.acos(clamp((r * r + distAU * distAU - R * R) / (2 * r * distAU), -1, 1)));
+    var magnitude = 5 * Math.log10(r * distAU);
+    for(var i = 0; i < planet.magnitude.length; i++) magnitude += planet.magnitude[i] * Math.pow(phaseAngle, i);
+
+    position.magnitude = magnitude;
+    position.accuracy = precise ? planet.accuracy : planet.accuracy + .4; // keplerian elements are approximate, low precision adds the sidereal time error of the low precision sun
+    position.angularDiameter = getAngularDiameter(planet.radius, position.distance);
+    return position;
+}
+
+
+// planet: heliocentric ecliptic position (AU, J2000) from keplerian elements at julian centuries T
+function getHeliocentricEcliptic(planet, T){
+    const el = planet.elements;
+    const rt = planet.rates;
+    const a = el[0] + rt[0] * T;
+    const e = el[1] + rt[1] * T;
+    const I = degToRad(el[2] + rt[2] * T);
+    const L = el[3] + rt[3] * T;
+    const perihelion = el[4] + rt[4] * T;
+    const node = el[5] + rt[5] * T;
+    const w = degToRad(perihelion - node); // argument of perihelion
+    const O = degToRad(node);
+    const M = degToRad((((L - perihelion) % 360) + 540) % 360 - 180); // mean anomaly (-180 to 180)
+
+    // solve kepler's equation
+    var E = M + e * Math.sin(M);
+    for(var i = 0; i < 10; i++){
+        const dE = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+        E -= dE;
+        if(Math.abs(dE) < 1e-9) break;
+    }
+
+    // position in orbital plane
+    const xp = a * (Math.cos(E) - e);
+    const yp = a * Math.sqrt(1 - e * e) * Math.sin(E);
+
+    // rotate to ecliptic
+    const cw = Math.cos(w), sw = Math.sin(w), cO = Math.cos(O), sO = Math.sin(O), cI = Math.cos(I), sI = Math.sin(I);
+    return {
+        x: (cw * cO - sw * sO * cI) * xp + (-sw * cO - cw * sO * cI) * yp,
+        y: (cw * sO + sw * cO * cI) * xp + (-sw * sO + cw * cO * cI) * yp,
+        z: (sw * sI) * xp + (cw * sI) * yp
+    };
+}
+
+
+
+// eclipses: list the next solar and lunar eclipses after date, with local circumstances at lat, long (and height in m)
+function getEclipses(date, latitude, longitude, height, count){
+    date = date || new Date();
+    height = height || 0;
+    count = count || 4;
+
+    const eclipses = [];
+    const yearFraction = date.getUTCFullYear() + date.getUTCMonth() / 12;
+    var k = Math.floor((yearFraction - 2000) * 12.3685) - 1; // lunation number (0 = first new moon of 2000)
+    const lastK = k + 12.3685 * 20; // eclipses happen at least twice per year, so this is plenty
+    while(eclipses.length < count && k < lastK){
+        const solar = getSolarEclipse(getMeanPhase(k), latitude, longitude, height);
+        if(solar && solar.globalMaximum > date) eclipses.push(solar);
+        if(eclipses.length >= count) break;
+        const lunar = getLunarEclipse(getMeanPhase(k + .5), latitude, longitude, height);
+        if(lunar && lunar.end > date) eclipses.push(lunar);
+        k++;
+    }
+    return eclipses;
+}
+
+
+// eclipses: current overlap of the sun and moon as seen from lat, long (and height in m)
+function getSunMoonOverlap(date, latitude, longitude, height){
+    const sky = getSolarEclipseSky((date || new Date()).getTime(), latitude, longitude, height || 0);
+    return {
+        separation: radToDeg(sky.separation),
+        sunRadius: radToDeg(sky.sunRadius),
+        moonRadius: radToDeg(sky.moonRadius),
+        magnitude: Math.max(0, (sky.sunRadius + sky.moonRadius - sky.separation) / (2 * sky.sunRadius)),
+        obscuration: getCircleOverlap(sky.sunRadius, sky.moonRadius, sky.separation) / (Math.PI * sky.sunRadius * sky.sunRadius),
+        sunAltitude: sky.sunAltitude
+    };
+}
+
+
+// eclipses: check the new moon near time t (ms) for a solar eclipse. returns null if there is none
+function getSolarEclipse(t, latitude, longitude, height){
+    // greatest eclipse, seen from the center of the earth
+    const tMax = findMinimum(function(t){ return getGeocentricSeparation(t, false).separation; }, t - dayMs, t + dayMs);
+    const geo = getGeocentricSeparation(tMax, false);
+    const moonParallax = Math.asin(EARTH_RADIUS_CM / geo.moon.dist);
+    const sunParallax = Math.asin(EARTH_RADIUS_CM / geo.sun.dist);
+    const sunRadius = Math.asin(SUN_RADIUS_CM / geo.sun.dist);
+    const moonRadius = Math.asin(MOON_RADIUS_CM / geo.moon.dist);
+    if(geo.separation > moonParallax - sunParallax + sunRadius + moonRadius) return null; // shadow misses the earth
+
+    var type = "partial";
+    if(geo.separation < moonParallax - sunParallax) type = moonRadius > sunRadius ? "total" : "annular"; // shadow axis hits the earth
+
+    const eclipse = {kind:"solar", type, localType:null, start:null, maximum:null, end:null, magnitude:0, obscuration:0, visible:false, globalMaximum:new Date(tMax)};
+
+    // local circumstances
+    function separation(t){ return getSolarEclipseSky(t, latitude, longitude, height).separation; }
+    const tLocal = findMinimum(separation, tMax - dayMs * .3, tMax + dayMs * .3);
+    const local = getSolarEclipseSky(tLocal, latitude, longitude, height);
+    if(local.separation >= local.sunRadius + local.moonRadius) return eclipse; // not seen from here
+
+    function contact(t){ const sky = getSolarEclipseSky(t, latitude, longitude, height); return sky.separation - sky.sunRadius - sky.moonRadius; }
+    eclipse.localType = "partial";
+    if(local.separation < Math.abs(local.moonRadius - local.sunRadius)) eclipse.localType = local.moonRadius > local.sunRadius ? "total" : "annular";
+    eclipse.start = new Date(findCrossing(contact, tLocal - dayMs * .2, tLocal));
+    eclipse.maximum = new Date(tLocal);
+    eclipse.end = new Date(findCrossing(contact, tLocal, tLocal + dayMs * .2));
+    eclipse.magnitude = (local.sunRadius + local.moonRadius - local.separation) / (2 * local.sunRadius);
+    eclipse.obscuration = getCircleOverlap(local.sunRadius, local.moonRadius, local.separation) / (Math.PI * local.sunRadius * local.sunRadius);
+    eclipse.visible = local.sunAltitude > 0;
+    return eclipse;
+}
+
+
+// eclipses: check the full moon near time t (ms) for a lunar eclipse. returns null if there is none
+function getLunarEclipse(t, latitude, longitude, height){
+    const tMax = findMinimum(function(t){ return getGeocentricSeparation(t, true).separation; }, t - dayMs, t + dayMs);
+
+    // earth's shadow (enlarged by 2% for the atmosphere)
+    function getShadow(t){
+        const geo = getGeocentricSeparation(t, true);
+        const moonParallax = Math.asin(EARTH_RADIUS_CM / geo.moon.dist);
+        const sunParallax = Math.asin(EARTH_RADIUS_CM / geo.sun.dist);
+        const sunRadius = Math.asin(SUN_RADIUS_CM / geo.sun.dist);
+        return {
+            separation: geo.separation,
+            moonRadius: Math.asin(MOON_RADIUS_CM / geo.moon.dist),
+            umbra: 1.02 * (moonParallax + sunParallax - sunRadius),
+            penumbra: 1.02 * (moonParallax + sunParallax + sunRadius)
+        };
+    }
+
+    const shadow = getShadow(tMax);
+    const penumbralMagnitude = (shadow.penumbra + shadow.moonRadius - shadow.separation) / (2 * shadow.moonRadius);
+    const umbralMagnitude = (shadow.umbra + shadow.moonRadius - shadow.separation) / (2 * shadow.moonRadius);
+    if(penumbralMagnitude <= 0) return null;
+
+    var type = "penumbral";
+    if(umbralMagnitude >= 1) type = "total";
+    else if(umbralMagnitude > 0) type = "partial";
+
+    function contact(t){ const shadow = getShadow(t); return shadow.separation - shadow.penumbra - shadow.moonRadius; }
+    const moon = getHorizontalPosition(getMoonCoordsPrecise(new Date(tMax)), new Date(tMax), latitude, longitude, height, true);
+    return {
+        kind: "lunar",
+        type,
+        localType: type, // looks the same everywhere on earth
+        start: new Date(findCrossing(contact, tMax - dayMs * .3, tMax)),
+        maximum: new Date(tMax),
+        end: new Date(findCrossing(contact, tMax, tMax + dayMs * .3)),
+        magnitude: umbralMagnitude > 0 ? umbralMagnitude : penumbralMagnitude,
+        obscuration: getCircleOverlap(shadow.moonRadius, shadow.umbra, shadow.separation) / (Math.PI * shadow.moonRadius * shadow.moonRadius),
+        visible: moon.altitude > 0,
+        globalMaximum: new Date(tMax)
+    };
+}
+
+
+// eclipses: geocentric separation (radians) between the sun (or the point opposite the sun) and moon at time t (ms)
+function getGeocentricSeparation(t, oppositeSun){
+    const date = new Date(t);
+    const sun = getSunCoordsPrecise(date);
+    const moon = getMoonCoordsPrecise(date);
+    const sunRa = oppositeSun ? sun.ra + Math.PI : sun.ra;
+    const sunDec = oppositeSun ? -sun.dec : sun.dec;
+    return {separation: getAngularSeparation(sunRa, sunDec, moon.ra, moon.dec), sun, moon};
+}
+
+
+// eclipses: topocentric separation and radii (radians) of the sun and moon at time t (ms), as seen from lat, long, height
+function getSolarEclipseSky(t, latitude, longitude, height){
+    const date = new Date(t);
+    const sun = getHorizontalPosition(getSunCoordsPrecise(date), date, latitude, longitude, height, true);
+    const moon = getHorizontalPosition(getMoonCoordsPrecise(date), date, latitude, longitude, height, true);
+    return {
+        separation: getAngularSeparation(degToRad(sun.ra), degToRad(sun.dec), degToRad(moon.ra), degToRad(moon.dec)),
+        sunRadius: Math.asin(SUN_RADIUS_CM / sun.distance),
+        moonRadius: Math.asin(MOON_RADIUS_CM / moon.distance),
+        sunAltitude: sun.altitude
+    };
+}
+
+
+// eclipses: approximate time (ms) of new moon (k is integer) or full moon (k ends in .5), Meeus ch. 49
+function getMeanPhase(k){
+    const T = k / 1236.85;
+    const jde = 2451550.09766 + 29.530588861 * k + 0.00015437 * T * T;
+    return fromJulian(jde).getTime();
+}
+
+
+
+// lighting: clear sky sunlight, moonlight and sky light at date, lat, long (and height in m). colours are linear {r, g, b} with the brightest channel at 1, illuminance is in lux
+function getLighting(date, latitude, longitude, height, precise){
+    height = height || 0;
+    const sun = getSunPosition(date, latitude, longitude, height, precise);
+    const moon = getMoonPosition(date, latitude, longitude, height, precise);
+    const moonMagnitude = getMoonIllumination(date).magnitude;
+
+    // direct light, reddened and dimmed by the atmosphere
+    const sunLight = getDirectLight(sun.altitude, sun.magnitude, sunTemperature, height);
+    const moonLight = getDirectLight(moon.altitude, moonMagnitude, moonTemperature, height);
+
+    // scattered light: sunlit sky (or twilight), moonlit sky and the night sky's own glow
+    const sunSky = getSkyIlluminance(sun.altitude);
+    const moonSky = getSkyIlluminance(moon.altitude) * Math.pow(10, -.4 * (moonMagnitude - sun.magnitude));
+    const skyIlluminance = sunSky + moonSky + nightSkyIlluminance;
+    const twilight = clamp(-sun.altitude / 6, 0, 1); // sky gets deeper blue after sunset (ozone)
+    const skyBlue = mixColor(rayleighColor, twilightColor, twilight);
+    const skyColor = normalizeColor(addColors(
+        scaleColor(mixColor(skyBlue, sunLight.color, .25 * (1 - twilight)), sunSky), // some sunlight bounces off clouds and haze
+        scaleColor(rayleighColor, moonSky),
+        scaleColor(twilightColor, nightSkyIlluminance)
+    ));
+
+    return {
+        sunColor: sunLight.color,
+        sunTemperature: getColorTemperature(sunLight.color),
+        sunIlluminance: sunLight.illuminance,
+        sunAltitude: sun.altitude,
+        moonColor: moonLight.color,
+        moonTemperature: getColorTemperature(moonLight.color),
+        moonIlluminance: moonLight.illuminance,
+        moonAltitude: moon.altitude,
+        skyColor,
+        skyTemperature: getColorTemperature(skyColor),
+        skyIlluminance,
+        totalIlluminance: sunLight.illuminance * Math.max(0, Math.sin(degToRad(sun.altitude))) + moonLight.illuminance * Math.max(0, Math.sin(degToRad(moon.altitude))) + skyIlluminance,
+        period: getLightPeriod(sun.altitude)
+    };
+}
+
+
+// lighting: colour and illuminance (lux, facing the light) of the sun or moon at altitude (degrees), seen through the atmosphere
+function getDirectLight(altitude, magnitude, temperature, height){
+    const airMass = getAirMass(Math.max(0, altitude)) * Math.exp(-height / atmosphereScaleHeight); // thinner air higher up
+    const base = getBlackbodyColor(temperature);
+    const color = normalizeColor({
+        r: base.r * Math.pow(10, -.4 * extinction.r * airMass),
+        g: base.g * Math.pow(10, -.4 * extinction.g * airMass),
+        b: base.b * Math.pow(10, -.4 * extinction.b * airMass)
+    });
+    const visible = clamp((altitude - horizonAltitude) / (2 * -horizonAltitude), 0, 1); // disc sinking below the horizon
+    const illuminance = Math.pow(10, -.4 * (magnitude + 14.18)) * Math.pow(10, -.4 * extinction.g * airMass) * visible; // magnitude to lux (green is close to visual)
+    return {color, illuminance};
+}
+
+
+// lighting: scattered light on the ground (lux) when the sun (or moon, times its brightness relative to the sun) is at altitude (degrees). clear sky, interpolated between measurements
+function getSkyIlluminance(altitude){
+    if(altitude <= skyIlluminanceTable[0][0]) return 0;
+    for(var i = 1; i < skyIlluminanceTable.length; i++){
+        const a = skyIlluminanceTable[i - 1];
+        const b = skyIlluminanceTable[i];
+        if(altitude <= b[0]){
+            const t = (altitude - a[0]) / (b[0] - a[0]);
+            return Math.pow(10, Math.log10(a[1]) + (Math.log10(b[1]) - Math.log10(a[1])) * t); // logarithmic, like the sky
+        }
+    }
+    return skyIlluminanceTable[skyIlluminanceTable.length - 1][1];
+}
+
+
+// lighting: name of the time of day for a sun altitude (degrees)
+function getLightPeriod(altitude){
+    if(altitude > horizonAltitude) return "day";
+    if(altitude > -6) return "civilTwilight";
+    if(altitude > -12) return "nauticalTwilight";
+    if(altitude > -18) return "astronomicalTwilight";
+    return "night";
+}
+
+
+// lighting: settings
+    const sunTemperature = 5778; // K, above the atmosphere
+    const moonTemperature = 4100; // K, sunlight reddened by the moon's surface
+    const extinction = { r: .12, g: .2, b: .36 }; // atmospheric extinction (magnitudes per air mass) at 610, 550 and 465 nm, clear sky at sea level
+    const atmosphereScaleHeight = 8000; // m
+    const horizonAltitude = -.833; // altitude of the sun's upper limb on the horizon, including refraction
+    const nightSkyIlluminance = .0005; // starlight and airglow (lux)
+    const rayleighColor = normalizeColor({ r: Math.pow(465/610, 4), g: Math.pow(465/550, 4), b: 1 }); // blue sky, scattering goes with 1/wavelength^4
+    const twilightColor = { r: .25, g: .35, b: 1 }; // deep blue after sunset
+    const skyIlluminanceTable = [ // sun altitude (degrees), scattered light on the ground (lux)
+        [-18, .0007], [-12, .008], [-6, 3.4], [-3, 60], [0, 500], [5, 2500], [10, 5000], [20, 9000], [40, 14000], [90, 20000]
+    ];
+
+
+
+// helpers
+
+    function clamp(value, min, max){
+        return Math.min(Math.max(value, min), max);
+    }
+
+    const dayMs = 1000 * 60 * 60 * 24;
+    const J1970 = 2440588;
+    const J2000 = 2451545;
+    const DEG_TO_RAD = 0.01745329251; // ~ pi/180
+    const RAD_TO_DEG = 57.2957795131; // ~ 180/pi
+    const earthTiltRad = 0.40910517666; // obliquity of the ecliptic (23.44 degrees)
+    const AU_IN_CM = 1.495978707e13; // 1 AU = ~1.496 * 10^13 cm
+    const synodicMonth = 29.530588853; // days from new moon to new moon
+    const EARTH_RADIUS_CM = 637813700; // equatorial radius
+    const EARTH_FLATTENING = 0.99664719; // polar/equatorial radius ratio
+    const SUN_RADIUS_CM = 69570000000;
+    const MOON_RADIUS_CM = 173740000;
+    function degToRad(deg){
+        return deg * DEG_TO_RAD;
+    }
+    function radToDeg(rad){
+        return rad * RAD_TO_DEG;
+    }
+    function toJulian(date){
+        return date.getTime() / dayMs - 0.5 + J1970;
+    }
+    function fromJulian(j){
+        return new Date((j + 0.5 - J1970) * dayMs);
+    }
+    function hoursLater(date, h){
+        return new Date(date.getTime() + h * dayMs / 24);
+    }
+    function toDays(date){
+        return toJulian(date) - J2000;
+    }
+    function getSiderealTime(d, lw){
+        return degToRad(280.16 + 360.9856235 * d) - lw;
+    }
+    function getAzAlt(H, phi, dec){
+        const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
+        const azimuth = Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi));
+        return { azimuth, altitude };
+    }
+    function getMoonMagnitude(phaseAngle){
+        return -12.73 + 0.026 * Math.abs(phaseAngle) + 4e-9 * Math.pow(phaseAngle, 4);
+    }
+    function getMoonPhaseName(phase){
+        const names = ["New Moon", "Waxing Crescent", "First Quarter", "Waxing Gibbous", "Full Moon", "Waning Gibbous", "Last Quarter", "Waning Crescent"];
+        return names[Math.round(phase * 8) % 8];
+    }
+
+    // julian centuries since J2000, in terrestrial (dynamical) time
+    function toCenturiesTT(date){
+        return (toDays(date) + getDeltaT(date) / 86400) / 36525;
+    }
+
+    // difference between terrestrial time and universal time (s), polynomial fits by Espenak & Meeus
+    function getDeltaT(date){
+        const y = date.getUTCFullYear() + (date.getUTCMonth() + .5) / 12;
+        var t;
+        if(y < 1986){
+            t = y - 1975;
+            return 45.45 + 1.067 * t - t * t / 260 - t * t * t / 718;
+        }
+        if(y < 2005){
+            t = y - 2000;
+            return 63.86 + 0.3345 * t - 0.060374 * t * t + 0.0017275 * t * t * t + 0.000651814 * t * t * t * t + 0.00002373599 * t * t * t * t * t;
+        }
+        if(y < 2050){
+            t = y - 2000;
+            return 62.92 + 0.32217 * t + 0.005589 * t * t;
+        }
+        t = (y - 1820) / 100;
+        return -20 + 32 * t * t - 0.5628 * (2150 - y);
+    }
+
+    // nutation in longitude and obliquity, and mean obliquity (degrees). omega is the moon's ascending node (radians)
+    function getNutation(T){
+        const omega = degToRad(125.04452 - 1934.136261 * T);
+        const L = degToRad(280.4665 + 36000.7698 * T); // sun mean longitude
+        const Lp = degToRad(218.3165 + 481267.8813 * T); // moon mean longitude
+        const dPsi = (-17.20 * Math.sin(omega) - 1.32 * Math.sin(2 * L) - 0.23 * Math.sin(2 * Lp) + 0.21 * Math.sin(2 * omega)) / 3600;
+        const dEps = (9.20 * Math.cos(omega) + 0.57 * Math.cos(2 * L) + 0.10 * Math.cos(2 * Lp) - 0.09 * Math.cos(2 * omega)) / 3600;
+        const eps0 = 23.4392911 - (46.8150 * T + 0.00059 * T * T - 0.001813 * T * T * T) / 3600;
+        return { dPsi, dEps, eps0, omega };
+    }
+
+    // apparent sidereal time (radians) at longitude west (radians)
+    function getApparentSiderealTime(date, lw){
+        const d = toDays(date);
+        const T = d / 36525;
+        const nutation = getNutation(T);
+        const gmst = 280.46061837 + 360.98564736629 * d + 0.000387933 * T * T - T * T * T / 38710000;
+        return degToRad(gmst + nutation.dPsi * Math.cos(degToRad(nutation.eps0 + nutation.dEps))) - lw;
+    }
+
+    // move geocentric hour angle, declination (radians) and distance (cm) to an observer at latitude phi (radians) and height (m)
+    function getTopocentric(H, dec, dist, phi, height){
+        const u = Math.atan(EARTH_FLATTENING * Math.tan(phi));
+        const h = height * 100 / EARTH_RADIUS_CM;
+        const rhoSin = (EARTH_FLATTENING * Math.sin(u) + h * Math.sin(phi)) * EARTH_RADIUS_CM;
+        const rhoCos = (Math.cos(u) + h * Math.cos(phi)) * EARTH_RADIUS_CM;
+
+        // rectangular, in the observer's meridian frame
+        const x = dist * Math.cos(dec) * Math.cos(H) - rhoCos;
+        const y = dist * Math.cos(dec) * Math.sin(H);
+        const z = dist * Math.sin(dec) - rhoSin;
+        const topoDist = Math.sqrt(x * x + y * y + z * z);
+        return { H: Math.atan2(y, x), dec: Math.asin(z / topoDist), dist: topoDist };
+    }
+
+    // atmospheric refraction (degrees) for a true altitude (degrees), at 10 degrees celsius and 1010 mbar (Saemundsson)
+    function getRefraction(altitude){
+        if(altitude < -1) return 0; // formula is not valid below the horizon
+        return 1.02 / Math.tan(degToRad(altitude + 10.3 / (altitude + 5.11))) / 60;
+    }
+
+    // convert azimuth and altitude (degrees) to a normalized direction: x = east, y = up, -z = north
+    function getDirection(azimuth, altitude){
+        const az = degToRad(azimuth);
+        const alt = degToRad(altitude);
+        return {
+            x: Math.cos(alt) * Math.sin(az), // east-west
+            y: Math.sin(alt), // up-down
+            z: -Math.cos(alt) * Math.cos(az) // north-south
+        };
+    }
+
+    // convert a normalized direction (x = east, y = up, -z = north) to azimuth and altitude (degrees). inverse of getDirection
+    function getAzimuthAltitude(direction){
+        return {
+            azimuth: (radToDeg(Math.atan2(direction.x, -direction.z)) + 360) % 360,
+            altitude: radToDeg(Math.asin(clamp(direction.y, -1, 1)))
+        };
+    }
+
+    // precess equatorial coordinates (radians) from J2000 to the equinox of date, by rotating the ecliptic longitude
+    function precessFromJ2000(ra, dec, T){
+        return rotateEclipticLongitude(ra, dec, degToRad(1.3969713 * T));
+    }
+
+    // precess equatorial coordinates (radians) from the equinox of date back to J2000
+    function precessToJ2000(ra, dec, T){
+        return rotateEclipticLongitude(ra, dec, -degToRad(1.3969713 * T));
+    }
+
+    // rotate equatorial coordinates (radians) around the ecliptic pole
+    function rotateEclipticLongitude(ra, dec, angle){
+        const eps = degToRad(getNutation(0).eps0);
+        const lon = Math.atan2(Math.sin(ra) * Math.cos(eps) + Math.tan(dec) * Math.sin(eps), Math.cos(ra)) + angle;
+        const lat = Math.asin(Math.sin(dec) * Math.cos(eps) - Math.cos(dec) * Math.sin(eps) * Math.sin(ra));
+        return {
+            ra: Math.atan2(Math.sin(lon) * Math.cos(eps) - Math.tan(lat) * Math.sin(eps), Math.cos(lon)),
+            dec: Math.asin(Math.sin(lat) * Math.cos(eps) + Math.cos(lat) * Math.sin(eps) * Math.sin(lon))
+        };
+    }
+
+    // angle between two equatorial coordinates (radians), stable for small angles (vincenty)
+    function getAngularSeparation(ra1, dec1, ra2, dec2){
+        const dRa = ra2 - ra1;
+        const x = Math.cos(dec2) * Math.sin(dRa);
+        const y = Math.cos(dec1) * Math.sin(dec2) - Math.sin(dec1) * Math.cos(dec2) * Math.cos(dRa);
+        const z = Math.sin(dec1) * Math.sin(dec2) + Math.cos(dec1) * Math.cos(dec2) * Math.cos(dRa);
+        return Math.atan2(Math.sqrt(x * x + y * y), z);
+    }
+
+    // apparent diameter (degrees) of a sphere with radius at distance (same unit)
+    function getAngularDiameter(radius, distance){
+        return radToDeg(2 * Math.asin(clamp(radius / distance, -1, 1)));
+    }
+
+    // relative air mass at altitude (degrees), 1 at zenith (Kasten & Young)
+    function getAirMass(altitude){
+        return 1 / (Math.sin(degToRad(altitude)) + .50572 * Math.pow(altitude + 6.07995, -1.6364));
+    }
+
+    // linear colour of a black body at temperature (K), sampled at 610, 550 and 465 nm and relative to white (6504 K)
+    function getBlackbodyColor(temperature){
+        function planck(wavelength, t){ // nm, K
+            const l = wavelength * 1e-9;
+            return 1 / (Math.pow(l, 5) * (Math.exp(.014388 / (l * t)) - 1));
+        }
+        return normalizeColor({
+            r: planck(610, temperature) / planck(610, 6504),
+            g: planck(550, temperature) / planck(550, 6504),
+            b: planck(465, temperature) / planck(465, 6504)
+        });
+    }
+
+    // correlated colour temperature (K) of a linear colour (McCamy), 1000-40000
+    function getColorTemperature(color){
+        const X = .4124 * color.r + .3576 * color.g + .1805 * color.b;
+        const Y = .2126 * color.r + .7152 * color.g + .0722 * color.b;
+        const Z = .0193 * color.r + .1192 * color.g + .9505 * color.b;
+        const x = X / (X + Y + Z);
+        const y = Y / (X + Y + Z);
+        const n = (x - .332) / (.1858 - y);
+        return clamp(449 * n * n * n + 3525 * n * n + 6823.3 * n + 5520.33, 1000, 40000); // outside of this range the approximation breaks down
+    }
+
+    // colour maths on {r, g, b}
+    function normalizeColor(c){
+        const max = Math.max(c.r, c.g, c.b);
+        if(!max) return { r: 0, g: 0, b: 0 };
+        return { r: c.r / max, g: c.g / max, b: c.b / max };
+    }
+    function scaleColor(c, f){
+        return { r: c.r * f, g: c.g * f, b: c.b * f };
+    }
+    function addColors(){
+        const sum = { r: 0, g: 0, b: 0 };
+        for(var i = 0; i < arguments.length; i++){
+            sum.r += arguments[i].r;
+            sum.g += arguments[i].g;
+            sum.b += arguments[i].b;
+        }
+        return sum;
+    }
+    function mixColor(a, b, t){
+        return { r: a.r + (b.r - a.r) * t, g: a.g + (b.g - a.g) * t, b: a.b + (b.b - a.b) * t };
+    }
+
+    // area of the overlap of two circles with radius r1, r2 at distance d
+    function getCircleOverlap(r1, r2, d){
+        if(d >= r1 + r2) return 0;
+        if(d <= Math.abs(r1 - r2)) return Math.PI * Math.pow(Math.min(r1, r2), 2);
+        const a1 = Math.acos(clamp((d * d + r1 * r1 - r2 * r2) / (2 * d * r1), -1, 1));
+        const a2 = Math.acos(clamp((d * d + r2 * r2 - r1 * r1) / (2 * d * r2), -1, 1));
+        return r1 * r1 * (a1 - Math.sin(2 * a1) / 2) + r2 * r2 * (a2 - Math.sin(2 * a2) / 2);
+    }
+
+    // find x between a and b where f(x) is lowest (golden section search, f should have one minimum in this range)
+    function findMinimum(f, a, b){
+        const ratio = (Math.sqrt(5) - 1) / 2;
+        var c = b - ratio * (b - a);
+        var d = a + ratio * (b - a);
+        var fc = f(c);
+        var fd = f(d);
+        for(var i = 0; i < 60; i++){
+            if(fc < fd){
+                b = d; d = c; fd = fc;
+                c = b - ratio * (b - a); fc = f(c);
+            }else{
+                a = c; c = d; fc = fd;
+                d = a + ratio * (b - a); fd = f(d);
+            }
+        }
+        return (a + b) / 2;
+    }
+
+    // find x between a and b where f(x) crosses 0 (bisection, f(a) and f(b) should have different signs)
+    function findCrossing(f, a, b){
+        var fa = f(a);
+        for(var i = 0; i < 40; i++){
+            const m = (a + b) / 2;
+            const fm = f(m);
+            if((fm < 0) == (fa < 0)){
+                a = m; fa = fm;
+            }else{
+                b = m;
+            }
+        }
+        return (a + b) / 2;
+    }
+
+
+
+// access
+module.exports.getSunPosition = getSunPosition;
+module.exports.getMoonPosition = getMoonPosition;
+module.exports.getPlanetPosition = getPlanetPosition;
+module.exports.getRaDecPosition = getRaDecPosition;
+module.exports.getRaDec = getRaDec;
+module.exports.getMoonIllumination = getMoonIllumination;
+module.exports.getTimes = getTimes;
+module.exports.getEclipses = getEclipses;
+module.exports.getLighting = getLighting;
+module.exports.getSunMoonOverlap = getSunMoonOverlap;
+module.exports.getRefraction = getRefraction;
+module.exports.getDirection = getDirection;
+module.exports.getAzimuthAltitude = getAzimuthAltitude;
+module.exports.getAngularDiameter = getAngularDiameter;
+module.exports.planetNames = Object.keys(planetElements);
+module.exports.degToRad = degToRad;
+module.exports.radToDeg = radToDeg;
+module.exports.toJulian = toJulian;
+module.exports.toDays = toDays;
+module.exports.getSiderealTime = getSiderealTime;
+module.exports.getAzAlt = getAzAlt;
+module.exports.getDeltaT = getDeltaT;
@@ -12,14 +12,28 @@
 
     - These functions expose sensitive user data. They may not always be accessible when combined with other features (like Leaderboards, as this requires Network APIs).
     - On front camera, use Tracking Mode 'Rotation'.
-    - On back camera, Tracking Mode 'World' works out of the box. If you are using 'Surface', make sure to call getSun/getMoon on each "WorldTrackingResetEvent" event!
+    - On back camera, Tracking Mode 'World' works out of the box. With 'Surface', the latest results are re-aligned automatically after each "WorldTrackingResetEvent" (see onInfoChanged).
 
 
 
     --- Usage
 
-        SunMoonTracker.getSun( onSuccess, onFail (optional) )   -> onSuccess/onFail callbacks contain 'info' object
-        SunMoonTracker.getMoon( onSuccess, onFail (optional) )  -> onSuccess/onFail callbacks contain 'info' object
+        SunMoonTracker.getSun( onSuccess, onFail (optional), options (optional) )   -> onSuccess/onFail callbacks contain 'info' object
+        SunMoonTracker.getMoon( onSuccess, onFail (optional), options (optional) )  -> onSuccess/onFail callbacks contain 'info' object
+        SunMoonTracker.getBody( name, onSuccess, onFail (optional), options (optional) )    -> same as above, for any registered body: "Sun", "Moon", "Mercury", "Venus", "Mars", "Jupiter", "Saturn", "Uranus", "Neptune"
+
+        SunMoonTracker.getSunAsync( options (optional) )            -> returns a Promise that resolves with 'info', or rejects with a 'TrackerError'
+        SunMoonTracker.getMoonAsync( options (optional) )
+        SunMoonTracker.getBodyAsync( name, options (optional) )
+
+        SunMoonTracker.getSky( bodies (list of names), onSuccess, onFail (optional), options (optional) )   -> onSuccess gets an object with an 'info' per body name, all calculated at the same moment
+        SunMoonTracker.getSkyAsync( bodies (list of names), options (optional) )                         -> same, as a Promise
+
+            all searches that run at the same time (for any body) share one GPS location and heading, and are resolved together.
+
+            options             object with any of the following (optional) settings:
+                gpsTimeout          give up if there is no GPS location after this time (s), default 15. 0 to wait forever
+                headingTimeout      give up if there is no recent compass heading (with the device upright) after this time (s), default 10. 0 to wait forever
 
             onSuccess(info)     'info' contains the following data:
                 directionalRot      rotation to apply to a directional light, to match celestial body origin (quat)
@@ -29,20 +43,402 @@
                 distance            distance to celestial body (cm)
                 position            world position of celestial body. this is extremely far away (but can be converted to screen space, or used for interpolation)
                 userHeading         user compass angle (degrees), 0 = true north, 90 = east (cw)
+                headingAccuracy     spread of the recent compass readings (degrees, standard deviation)
+                headingConfidence   how reliable the heading is (0-1), lower when there are few readings, a lot of spread or outliers
                 userLatitude        user latitude
                 horizontalAccuracy  horizontal accuracy (m)
                 verticalAccuracy    vertical accuracy (m)
                 userLongitude       user longitude
                 userAltitude        user altitude
+                locationSource      where the location came from: "gps", "manual" (setLocation), "stored" (last known GPS location) or "timezone" (rough guess, see Location)
+                locationError       why GPS wasn't used for a "stored" or "timezone" location: SunMoonTracker.ErrorCode.PermissionDenied, GPSUnavailable or GPSTimeout. null otherwise
+                locationAge         time since the location was measured (s)
+                date                measurement time
+                name                celestial body name
+                ra                  right ascension (degrees)
+                dec                 declination (degrees)
+                magnitude           apparent magnitude (brightness, lower is brighter)
+                angularDiameter     apparent size (degrees)
+                expectedError       estimated maximum error of the azimuth/altitude calculation (degrees), including the location's accuracy but not heading errors
+                highPrecision       bool, true if calculated in high precision mode
+
+                (moon only)
+                phase               moon cycle (0-1), 0 = new moon, .25 = first quarter, .5 = full moon, .75 = last quarter
+                phaseName           "New Moon", "Waxing Crescent", "First Quarter", "Waxing Gibbous", "Full Moon", "Waning Gibbous", "Last Quarter" or "Waning Crescent"
+                phaseAngle          angle between sun and earth as seen from the moon (degrees), 0 = full moon, 180 = new moon
+                illumination        illuminated fraction of the moon's disc (0-1)
+                age                 days since last new moon
+                brightLimbAngle     direction of the lit side of the moon (degrees), measured from celestial north towards east
+                brightLimbZenithAngle   direction of the lit side of the moon as seen by the user (degrees), measured from the top of the moon (towards zenith) counter-clockwise. use this to rotate a terminator/shading mask
+
+            onFail(err)         (optional) 'err' is a 'TrackerError' object (prints as its message). the search is fully stopped when this is called, so a new one can be started right away.
+
+            TrackerError        object contains the following data:
+                code                one of the values in SunMoonTracker.ErrorCode (compare with err.code == SunMoonTracker.ErrorCode.PermissionDenied):
+                                        PermissionDenied    "PERMISSION_DENIED", no access to the location
+                                        GPSUnavailable      "GPS_UNAVAILABLE", location request failed
+                                        GPSTimeout          "GPS_TIMEOUT", no location in time
+                                        NoHeading           "NO_HEADING", no recent compass heading in time
+                                        DeviceTilted        "DEVICE_TILTED", device was not held upright in time
+                message             description of the error
+                cause               original error from the location service (if any)
+
+
+        SunMoonTracker.watch( body (name, like "Sun"), onUpdate, options (optional) )    -> returns 'WatchHandle' object
+
+            onUpdate(info)      called with the same 'info' object as getSun/getMoon, first after the initial search and then whenever the result is refreshed
+            options             object with any of the following (optional) settings:
+                interval            minimum time between refreshes (s), default 1
+                angleThreshold      only call onUpdate when the direction changed by at least this angle (degrees), default 0
+                gpsTimeout          same as getSun
+                headingTimeout      same as getSun
+                onFail              called with a 'TrackerError' if the initial search fails
+
+            WatchHandle         object contains the following:
+                stop()              stop tracking
+                info                latest 'info' object (null until the first result)
+
+            refreshes reuse the GPS location of the initial search and the latest heading, and are skipped while the heading is outdated or the device is tilted.
+
+
+        SunMoonTracker.onInfoChanged.add( callback ) / .remove( callback )    -> subscribe to changes of earlier results
+
+            callback(info, reason)      called when the latest 'info' of a body is re-aligned in place (new direction, position, directionalRot and heading data)
+                reason                  "trackingReset" (after a WorldTrackingResetEvent), "cameraFlip" (switched between front and back camera), "headingCalibration" (see Heading calibration) or "realign" (better compass readings, see Precision)
+
+
+        SunMoonTracker.computeSky( body (name, like "Sun"), date (Date, optional), latitude, longitude, height (m, optional) )  -> returns 'SkyInfo' object (no GPS or heading needed)
+
+            SkyInfo             object contains the following data:
+                azimuth             celestial body compass angle (degrees), 0 = true north, 90 = east (cw)
+                altitude            celestial body angle above horizon (degrees)
+                distance            distance to celestial body (cm)
+                ra                  right ascension (degrees)
+                dec                 declination (degrees)
+                magnitude           apparent magnitude (brightness, lower is brighter)
+                angularDiameter     apparent size (degrees)
+                expectedError       estimated maximum error of the azimuth/altitude calculation (degrees)
+                highPrecision       bool, true if calculated in high precision mode
+                direction           local vector from user to celestial body (normalized vec3), not oriented to the device: -z = north, x = east, y = up
                 date                measurement time
                 name                celestial body name
+                (moon only)         same phase data as getMoon's 'info'
+
+
+        SunMoonTracker.getPath( body (name, like "Sun"), start (Date), end (Date), options (optional) )    -> returns 'SkyPath' object, the body's path through the sky between start and end
+
+            options             object with any of the following (optional) settings:
+                latitude            location to use, default the location of the latest getSun/getMoon/getBody result
+                longitude
+                height              (m)
+                step                time between points (minutes), default 10
+
+            SkyPath             object contains the following:
+                points              list of 'PathPoint' objects, from start to end
+                markers             list of 'PathPoint' objects on each whole hour (device time), which also contain 'hour' (0-23)
+
+            PathPoint           object contains the following data:
+                date                time of this point
+                azimuth             compass angle (degrees), 0 = true north, 90 = east (cw)
+                altitude            angle above horizon (degrees)
+                direction           vector from user to this point (normalized vec3) with the same heading alignment as the latest result, null if there is no result yet
+                localDirection      local vector, not oriented to the device: -z = north, x = east, y = up
+                isAboveHorizon      bool, true if altitude > 0
+
+
+        SunMoonTracker.getAnalemma( date (Date, optional), options (optional) )   -> returns 'SkyPath' object, the body at the same time of day for a year, starting at date (for the sun, this makes a figure-8)
+
+            options             same as getPath, but 'step' is in days (default 1), and also:
+                body                name, default "Sun"
+                days                how many days to sample, default 365
+
+            the markers are the first points of each new month, which also contain 'month' (0-11).
+
+
+        SunMoonTracker.getEclipses( date (Date, optional), latitude, longitude, height (m, optional), count (optional, default 4) )    -> returns list of 'Eclipse' objects, the next solar and lunar eclipses after date
+
+            Eclipse             object contains the following data:
+                kind                "solar" or "lunar"
+                type                "total", "annular", "partial" or "penumbral" (as seen from anywhere on earth)
+                localType           type as seen from this location, null if the solar eclipse can't be seen here (lunar eclipses look the same everywhere)
+                start               Date, first contact (solar: at this location, null if not seen here. lunar: moon enters the penumbra)
+                maximum             Date, greatest eclipse (solar: at this location, null if not seen here)
+                end                 Date, last contact (solar: at this location, null if not seen here. lunar: moon leaves the penumbra)
+                magnitude           solar: fraction of the sun's diameter covered at this location. lunar: fraction of the moon's diameter in the umbra (or penumbra, for penumbral eclipses)
+                obscuration         solar: fraction of the sun's area covered at this location. lunar: fraction of the moon's area in the umbra
+                visible             bool, true if the sun (solar) or moon (lunar) is above the horizon at this location during maximum
+                globalMaximum       Date, greatest eclipse as seen from the center of the earth
 
-            onFail(err)         (optional) 'err' is a string describing the error.
+
+        SunMoonTracker.getSunMoonOverlap( date (Date, optional), latitude, longitude, height (m, optional) )  -> returns 'Overlap' object, how much the moon covers the sun right now
+
+            Overlap             object contains the following data:
+                separation          angle between the centers of the sun and moon (degrees)
+                sunRadius           apparent radius of the sun (degrees)
+                moonRadius          apparent radius of the moon (degrees)
+                magnitude           fraction of the sun's diameter covered by the moon (0 when not overlapping)
+                obscuration         fraction of the sun's area covered by the moon (0-1)
+                sunAltitude         sun angle above horizon (degrees)
+
+
+        SunMoonTracker.registerBody( name, getPosition, getDetails (optional) )  -> add a custom body (or replace one), which can then be used in getBody, watch and computeSky
+
+            getPosition(date, latitude, longitude, height)  should return an object with azimuth, altitude (degrees) and distance (cm). optionally also ra, dec, magnitude and accuracy (expected error in degrees)
+            getDetails(date)                                (optional) returns an object with extra data to add to 'info'
+
+
+        SunMoonTracker.getTimes( date (Date, optional), latitude, longitude )    -> returns 'Times' object (no GPS or heading needed)
+
+            Times               object contains the following data (Date, or null if it does not happen on this day, e.g. in polar regions):
+                solarNoon           sun at its highest point
+                nadir               sun at its lowest point
+                sunrise             top of the sun appears on the horizon
+                sunset              top of the sun disappears below the horizon
+                civilDawn           morning civil twilight starts (sun at -6 degrees)
+                civilDusk           evening civil twilight ends (sun at -6 degrees)
+                nauticalDawn        morning nautical twilight starts (sun at -12 degrees)
+                nauticalDusk        evening nautical twilight ends (sun at -12 degrees)
+                astronomicalDawn    morning astronomical twilight starts (sun at -18 degrees)
+                astronomicalDusk    evening astronomical twilight ends (sun at -18 degrees)
+                goldenHour          {morning:{start, end}, evening:{start, end}}, sun between -4 and 6 degrees
+                blueHour            {morning:{start, end}, evening:{start, end}}, sun between -6 and -4 degrees
+                moonrise            moon appears on the horizon (during the device's local day)
+                moonset             moon disappears below the horizon (during the device's local day)
+                moonTransit         moon at its highest point (during the device's local day)
+                moonAlwaysUp        bool, true if the moon does not rise or set on this day and stays above the horizon
+                moonAlwaysDown      bool, true if the moon does not rise or set on this day and stays below the horizon
+
+
+        SunMoonTracker.getLighting( date (Date, optional), latitude, longitude, height (m, optional) )  -> returns 'Lighting' object, the real (clear sky) light at this time and place (no GPS or heading needed)
+
+            Lighting            object contains the following data (colours are linear vec3 with the brightest channel at 1, illuminance in lux):
+                sunColor            colour of direct sunlight, reddened by the atmosphere when the sun is low
+                sunTemperature      colour temperature of direct sunlight (K)
+                sunIlluminance      direct sunlight on a surface facing the sun (lux), 0 when the sun is down
+                sunAltitude         sun angle above horizon (degrees)
+                moonColor           colour of direct moonlight
+                moonTemperature     colour temperature of direct moonlight (K)
+                moonIlluminance     direct moonlight on a surface facing the moon (lux), depends on the moon phase
+                moonAltitude        moon angle above horizon (degrees)
+                skyColor            colour of the light from the whole sky (ambient), blue during the day and deeper blue in twilight
+                skyTemperature      colour temperature of the sky light (K)
+                skyIlluminance      sky light on the ground (lux), includes twilight, moonlit sky and starlight
+                totalIlluminance    all light on the ground (lux)
+                period              "day", "civilTwilight", "nauticalTwilight", "astronomicalTwilight" or "night"
 
 
     
+    --- Precision
+
+        By default, a fast approximation is used: the sun is accurate to ~0.4 degrees, the moon to ~3.5 degrees (it is calculated from the center of the earth).
+        Enable 'High Precision' on this script (or set SunMoonTracker.highPrecision = true) to use the full lunar series and a better solar theory (Meeus),
+        including ΔT, parallax for the user's location and altitude, and atmospheric refraction near the horizon. This is accurate to ~0.01 degrees.
+        Each result's 'expectedError' tells how far off it can be.
+
+        The compass heading is averaged over the last 2 seconds of readings (ignoring outliers), which usually matters more than the calculation itself.
+        Enable 'Realign' on this script (or set SunMoonTracker.realign = true) to keep updating the direction, position, directionalRot and heading data
+        of the latest result of each body as better compass readings arrive. The 'info' objects are changed in place, so read them again instead of copying their values.
+        This also happens automatically (even without 'Realign') after a world tracking reset or a camera flip, see onInfoChanged.
+
+
+
+    --- Providers
+
+        GPS location, compass heading and the current time come from a 'provider'. By default this is the device, which does not give results in Lens Studio preview.
+        Use a mock provider to test the full success and fail path without a phone, with reproducible results:
+
+        SunMoonTracker.createMockProvider( options (optional) )  -> returns a 'Provider' with simulated data
+
+            options             object with any of the following (optional) settings. each can be a number, or a function of the time since creation (s) returning a number:
+                latitude            default 0
+                longitude           default 0
+                altitude            (m) default 0
+                horizontalAccuracy  (m) default 5
+                verticalAccuracy    (m) default 5
+                heading             user compass angle (degrees), 0 = true north, 90 = east (cw). default 0
+                timeOffset          seconds to add to the clock, default 0
+                gpsDelay            seconds before a GPS request responds, default 0
+            and:
+                date                start time (Date or date string), default now
+                timeScale           clock speed (time-lapse), default 1
+                gpsFailures         number of GPS requests that should fail first, default 0
+                gpsError            error string for failed GPS requests
+
+            the mock provider also has fail( count (optional, default 1) ), to let the next GPS requests fail.
+
+
+        SunMoonTracker.setProvider( provider )   -> use another provider, or null to go back to the device. forgets the previous heading and location. a search that is still running continues with the new provider (with the full gpsTimeout again), and watchers wait for its location
+
+            Provider            object with the following functions, to make your own:
+                getCurrentPosition( onSuccess, onFail )     calls onSuccess with {latitude, longitude, altitude, horizontalAccuracy, verticalAccuracy} or onFail with an error string
+                startHeading( onHeading )                   calls onHeading continuously with the user compass angle (degrees)
+                now()                                       returns the current Date
+
+
+
+    --- Location
+
+        Each GPS location is kept in persistent storage. When there is no GPS location (denied, unavailable or too slow), the search fails with the ErrorCode of why.
+        Enable 'Location Fallback' on this script (or set SunMoonTracker.locationFallback = true) to use the last known location instead,
+        or, if there is none, a rough guess from the device's time zone (~3000 km accurate, but the sun's direction is still roughly right).
+        Check 'locationSource', 'locationError', 'locationAge' and 'horizontalAccuracy' in the 'info' to tell the user how trustworthy the result is, and to still ask for location access when it was denied.
+
+        SunMoonTracker.setLocation( latitude, longitude, altitude (m, optional), horizontalAccuracy (m, optional, default 100) )   -> use a fixed location instead of GPS (also possible with 'Use Manual Location' on this script). setLocation(null) to go back to GPS
+
+        SunMoonTracker.getStoredLocation()  -> returns the last known GPS location (from this or an earlier session) as {latitude, longitude, altitude, horizontalAccuracy, verticalAccuracy, date, age (s)}, or null
+
+
+
+    --- Heading calibration
+
+        Compasses differ per device: on Spectacles the heading is off by 180 degrees, and tilting the device sideways shifts the heading.
+        By default, offsets measured on specific devices are used for this. To measure them on the current device instead, let the user center the real sun or moon on screen and confirm.
+        The calibration is kept in persistent storage per device type, and used for all later results (earlier results are re-aligned, see onInfoChanged).
+        Confirm a few times while holding the device at different sideways tilts to also solve the tilt compensation.
+
+        SunMoonTracker.calibrateHeading( body (name, "Sun" by default), options (optional) )   -> returns 'CalibrationHandle' object
+
+            options             object can contain the following (all optional):
+                camera              Component.Camera, default is the camera on the DeviceTracking object
+                gpsTimeout          same as getSun
+                headingTimeout      same as getSun
+                onReady             called with the body's 'info' once the location and heading are found, after which confirm() can be used
+                onFail              called with a 'TrackerError' if the search fails
+
+            CalibrationHandle   object contains the following:
+                confirm()           call when the body is in the center of the screen. returns the new 'HeadingCalibration', or null when not ready yet, when the recent compass readings are too few or too spread out (headingConfidence below 0.5), or when the center of view is more than 10 degrees above or below the body
+                stop()              end the calibration, and its location and heading search if that is still running
+                info                the body's 'info' (null until ready)
+                calibration         latest 'HeadingCalibration' of this session (null until confirmed)
+
+        SunMoonTracker.getHeadingCalibration()      -> returns this device's 'HeadingCalibration', or null when using the defaults
+
+            HeadingCalibration  object contains the following data:
+                headingOffset       added to the compass heading (degrees)
+                tiltFactor          heading correction per degree of sideways tilt
+                maxTilt             max sideways tilt to use compass readings (degrees)
+                accuracy            how well the confirmations agree with each other (degrees, standard deviation)
+                samples             number of confirmations
+                date                Date of the calibration
+                deviceType          the calibration is kept for this type of device ("Spectacles", or the OS)
+
+        SunMoonTracker.resetHeadingCalibration()    -> forget this device's calibration and go back to the defaults
+
+
+
+    --- Diagnostics
+
+        When the sun ends up in the wrong place on someone's device, record a session and look at the data, or replay it in Lens Studio to reproduce the exact result.
+
+        SunMoonTracker.startRecording( options (optional) )   -> returns 'Recording' object. starting a new recording stops the previous one
+
+            options             object can contain the following (all optional):
+                maxEntries          oldest entries are dropped after this many, default 20000 (~10 minutes)
+                headings            record each compass reading, default true
+
+            Recording           object contains the following:
+                stop()              stop recording
+                entries             list of recorded entries (see below)
+                exportJSON()        returns all entries as a JSON string, for replay()
+                exportCSV()         returns all entries as CSV, one row per entry (for spreadsheets, can't be replayed)
+
+            Each entry has a 'type', 'time' (lens time, s) and 'date' (ms), and:
+                "gps"               position (latitude, longitude, altitude, horizontalAccuracy, verticalAccuracy, source, date) of each GPS fix
+                "heading"           rawHeading (from the compass), heading (after front camera, device offset and tilt compensation), tilt (degrees), frontCameraFlip, forward (device tracking forward vector), used (false when too tilted)
+                "result"            body, position (the location used), azimuth, altitude, direction, userHeading, headingAccuracy, headingConfidence, and the heading samples and device rotation needed for replay
+
+        SunMoonTracker.replay( recording (Recording, or its exportJSON string) )   -> recalculates each result in the recording, returns a list of {info, recorded (entry), difference (degrees between the recorded and recalculated direction)}
+
+            registered custom bodies (see registerBody) need to be registered again before replaying. replaying doesn't change the tracker's current results.
+
+
+
+    --- Astronomy
+
+        All sun, moon, planet and eclipse math is in 'Sun Moon Astronomy.js', which has no Lens Studio dependencies (plain numbers and Dates in, plain objects out).
+        It can be used on its own, in other scripts or in Node:
+
+            const Astronomy = require('./Sun Moon Astronomy');
+            const sun = Astronomy.getSunPosition(new Date(), latitude, longitude, height, precise);  // {azimuth, altitude, distance, ra, dec, ...}
+
+        Its tests (in 'test/') check the positions, rise/set times and the 2024-2030 eclipses against reference values. Run them with 'npm test' (Node 20 or newer).
+
+
+
     --- Helpers
 
+        SunMoonTracker.createSkyAnchor( sceneObject, body (name, like "Moon"), options (optional) )    -> returns 'SkyAnchor' object
+
+            keeps the SceneObject in the direction of the body, scaled to the body's real apparent size, as far away as possible without being clipped by the camera's far plane.
+            options             object with any of the following (optional) settings:
+                camera              Component.Camera to place the object for, default the camera on the DeviceTracking's SceneObject
+                size                diameter of the object at scale 1 (cm), default 1
+                scale               multiplier on the real size, default 1
+                distance            how far away to place the object, as a fraction of the camera's far plane, default .95
+                followCamera        keep the object centered on the camera each frame, default true. when false, it only moves when there is a new result
+                faceCamera          point the object's forward (z) towards the camera, default false
+                hideUntilFound      disable the SceneObject until there is a result, default true
+                interval            minimum time between refreshes (s), like in watch
+                onUpdate            called with each new 'info' object, like in watch
+                onFail              called with a 'TrackerError' if the initial search fails
+                gpsTimeout          same as getSun
+                headingTimeout      same as getSun
+
+            SkyAnchor           object contains the following:
+                stop()              stop placing the object
+                info                latest 'info' object (null until the first result)
+                watch               the 'WatchHandle' used to follow the body
+
+
+        SunMoonTracker.createLightRig( options (optional) )    -> returns 'LightRig' object
+
+            drives LightSource components with the real sun, moon and sky light (direction, colour and intensity). this searches the sun (and moon) like watch does.
+            options             object with any of the following (optional) settings:
+                sunLight            Component.LightSource (directional) to follow the sun
+                moonLight           Component.LightSource (directional) to follow the moon
+                ambientLight        Component.LightSource (ambient or environment map) to get the sky light
+                exposure            illuminance (lux) at light intensity 1. by default, this adapts to the brightest light (like eyes do), so night scenes are darker but still visible
+                intensity           multiplier on all light intensities, default 1
+                interval            minimum time between lighting updates (s), default 1
+                onUpdate            called with each new 'Lighting' object
+                onFail              called with a 'TrackerError' if the initial search fails
+                gpsTimeout          same as getSun
+                headingTimeout      same as getSun
+
+            LightRig            object contains the following:
+                stop()              stop updating the lights
+                lighting            latest 'Lighting' object (null until the first result)
+                sunWatch            the 'WatchHandle' used to follow the sun
+                moonWatch           the 'WatchHandle' used to follow the moon (null without moonLight)
+
+
+        SunMoonTracker.getShadow( target (world position vec3, or box {min, max} of vec3 in world space), options (optional) )   -> returns 'Shadow' object, or null if there is no getSun/getMoon/getBody result yet or the sun is below the plane
+
+            the shadow the sun casts of a point (like the tip of a pole) or a box onto a plane.
+
+            options             object can contain the following (all optional):
+                date                Date, default now (like 3pm today, to see where the shade will be)
+                direction           sun direction (vec3) to use instead, like an 'info.direction'
+                planePoint          any world position on the plane, default (0, 0, 0)
+                planeNormal         plane normal (vec3), default up. use a detected surface's position and normal to cast on walls or tables
+                latitude            use another location than the latest result's (together with longitude)
+                longitude
+
+            Shadow              object contains the following data:
+                start               where the target touches the plane (straight below the point, or the box center)
+                end                 furthest shadow point on the plane
+                length              shadow length from start to end, along the shadow direction
+                direction           normalized shadow direction on the plane (zero when the sun is straight above)
+                points              the shadow of each point (1 for a point, 8 box corners)
+                outline             list of positions on the plane around the target and its shadow (counter-clockwise, seen from above)
+                sunDirection        normalized direction towards the sun
+
+
+        SunMoonTracker.isSunlit( position (vec3), occluders (list of boxes {min, max} in world space), options (optional) )   -> returns true if the sun reaches the position, false if a box is in the way or the sun is below the horizon, null if there is no getSun/getMoon/getBody result yet
+
+            options can contain date, direction, latitude and longitude (same as getShadow).
+
+
         SunMoonTracker.worldToScreen( worldPosition (vec3) )   -> returns 'ScreenSpaceInfo' object
 
             ScreenSpaceInfo     object contains the following data:
@@ -50,6 +446,77 @@
                 isInFront           bool, true when this screen space position is in front of the camera. useful for hiding the visual when it's behind the camera.
 
 
+        SunMoonTracker.getDirectionIndicator( target (world position vec3, or an 'info'/'SkyDirection' object), options (optional) )   -> returns 'DirectionIndicator' object
+
+            guides the user towards a target, also when it's off-screen or behind the camera (use the latest 'info' from watch/getSun/getMoon/getBody, as the user keeps turning).
+
+            options             object can contain the following (all optional):
+                camera              Component.Camera, default is the camera on the DeviceTracking object
+                margin              distance of the off-screen position from the screen edge (screen space), default .1
+                tolerance           max angle from the center of view for 'onTarget' (degrees), default 5
+
+            DirectionIndicator  object contains the following data:
+                position            vec2 screen space (-1 to 1). the real position when on screen, otherwise clamped to the screen edge in the shortest turning direction (also when behind the camera)
+                isOnScreen          bool, true when the target is visible on screen
+                isInFront           bool, true when the target is in front of the camera
+                angle               arrow angle pointing from the screen center towards the target (degrees, 0 = up, 90 = right)
+                yaw                 horizontal angle to turn to face the target (degrees, positive = right, -180 to 180)
+                pitch               vertical angle to turn to face the target (degrees, positive = up)
+                offset              total angle between the center of view and the target (degrees)
+                onTarget            bool, true when 'offset' is within 'tolerance'
+
+
+        SunMoonTracker.raDecToWorld( ra (degrees), dec (degrees), date (Date, optional) )    -> returns 'SkyDirection' object, or null if there is no getSun/getMoon/getBody result yet
+
+            converts any right ascension and declination (J2000, like in star catalogs) to world space, with the same heading alignment as the latest result.
+
+            SkyDirection        object contains the following data:
+                direction           vector from user to the sky position (normalized vec3), scale to get position in sky
+                azimuth             compass angle (degrees), 0 = true north, 90 = east (cw)
+                altitude            angle above horizon (degrees)
+                expectedError       estimated maximum error of the azimuth/altitude calculation (degrees), including the location's accuracy but not heading errors
+
+
+        SunMoonTracker.screenToSky( screenPosition (vec2, -1 to 1, optional), options (optional) )   -> returns 'SkyPoint' object, or null if there is no getSun/getMoon/getBody result yet
+
+            finds what's in the sky at a screen position (like a tap), default is the center of view. the inverse of worldToScreen, with the same heading alignment as the latest result.
+
+            options             object can contain the following (all optional):
+                camera              Component.Camera, default is the camera on the DeviceTracking object
+                tolerance           max angle between the screen position and a body's edge to count as pointing at it (degrees), default 3
+                bodies              list of body names to look for (like ["Moon", "Venus"]), default all
+                date                Date, default now
+
+            SkyPoint            object contains the following data:
+                direction           vector from user to the sky position (normalized vec3)
+                azimuth             compass angle (degrees), 0 = true north, 90 = east (cw)
+                altitude            angle above horizon (degrees)
+                ra                  right ascension (degrees, J2000, like in star catalogs)
+                dec                 declination (degrees, J2000)
+                date                Date
+                body                nearest body within tolerance as {name, separation (degrees from its center), sky (same as computeSky)}, or null
+
+
+        SunMoonTracker.getStars( maxMagnitude (optional) )  -> returns list of the brightest stars (magnitude 3.5 and brighter, from 'Star Catalog.js'), brightest first
+
+            each star contains:
+                id                  hipparcos catalog number
+                name                common name (empty string if it doesn't have one)
+                bayer               bayer designation (greek letter)
+                constellation       constellation abbreviation
+                ra                  right ascension (degrees, J2000)
+                dec                 declination (degrees, J2000)
+                magnitude           apparent magnitude
+
+
+        SunMoonTracker.getConstellations()  -> returns list of constellation line figures
+
+            each constellation contains:
+                id                  abbreviation
+                name                full name
+                lines               list of lines, each line is a list of {ra, dec} points (degrees, J2000)
+
+
 
 
 
@@ -59,6 +526,14 @@
 
 
 
+        Light the scene like the real sky: sun, moon and ambient light, at dawn, midday, dusk and under moonlight
+
+            SunMoonTracker.createLightRig({sunLight:script.sunLight, moonLight:script.moonLight, ambientLight:script.ambientLight});
+
+
+
+
+
         Match a directional light's orientation with the angle of the sun, to align the shadows in your scene
     
             SunMoonTracker.getSun(function(info){
@@ -91,31 +566,167 @@
 
 
 
-        Put a 3D SceneObject as far away as possible in the sky (within render distance), in the direction of the real moon. This looks better than a 2D screen image.
+        Put a 3D SceneObject as far away as possible in the sky (within render distance), in the direction of the real moon and at its real size. This looks better than a 2D screen image.
+
+            SunMoonTracker.createSkyAnchor(script.moon, "Moon", {camera:script.cam, size:2}); // size: the moon object's diameter at scale 1 (a world space image is 2 wide)
+
+
+
+
+
+        Draw the constellations, aligned to the real sky (after any getSun/getMoon/getBody result)
 
-            // store moon world position
-            var moonPos;
             SunMoonTracker.getMoon(function(info){
-                moonPos = info.position;
+                const constellations = SunMoonTracker.getConstellations();
+                for(var i = 0; i < constellations.length; i++){
+                    const lines = constellations[i].lines;
+                    for(var j = 0; j < lines.length; j++){
+                        const points = lines[j].map(function(p){ return SunMoonTracker.raDecToWorld(p.ra, p.dec).direction.uniformScale(script.cam.far * .9); });
+                        drawLine(points); // your own line renderer
+                    }
+                }
             });
 
-            // continuously update 3D moon position, based on its world position
+
+
+
+
+        Draw today's sun arc from sunrise to sunset, with a marker on each hour
+
+            SunMoonTracker.getSun(function(info){
+                const times = SunMoonTracker.getTimes(info.date, info.userLatitude, info.userLongitude);
+                const path = SunMoonTracker.getPath("Sun", times.sunrise, times.sunset);
+                drawLine(path.points.map(function(p){ return p.direction.uniformScale(script.cam.far * .9); })); // your own line renderer
+                path.markers.forEach(function(m){ drawLabel(m.direction.uniformScale(script.cam.far * .9), m.hour + ":00"); });
+            });
+
+
+
+
+
+        Count down to the next eclipse that can be seen from here
+
+            SunMoonTracker.getSun(function(info){
+                const eclipses = SunMoonTracker.getEclipses(info.date, info.userLatitude, info.userLongitude, info.userAltitude, 10);
+                const next = eclipses.filter(function(e){ return e.visible; })[0];
+                if(next){
+                    const days = Math.floor((next.start - info.date) / (1000 * 60 * 60 * 24));
+                    print("Next " + next.localType + " " + next.kind + " eclipse in " + days + " days");
+                }
+            });
+
+
+
+
+
+        Preview a sunrise in Lens Studio, at 10 minutes per second, while slowly turning around
+
+            SunMoonTracker.setProvider(SunMoonTracker.createMockProvider({
+                latitude: 52.37,
+                longitude: 4.9,
+                date: "2024-06-21T03:00:00Z",
+                timeScale: 600,
+                heading: function(t){ return (t * 10) % 360; }
+            }));
+            SunMoonTracker.watch("Sun", function(info){
+                print(info.date + ": " + info.altitude);
+            });
+
+
+
+
+
+        Point an arrow at the moon, also when it's off-screen or behind the user
+
+            const moonWatch = SunMoonTracker.watch("Moon", function(){});
             script.createEvent("UpdateEvent").bind(function(){
-                if(!moonPos) return;
+                script.arrow.getSceneObject().enabled = !!moonWatch.info;
+                if(!moonWatch.info) return;
 
-                // re-calculate an optimal position for the moon, to make it appear as if the moon is infinitely far away without it getting clipped by render distance
-                const userPosition = script.cam.getTransform().getWorldPosition();      // get the user's position
-                const dir = moonPos.sub(userPosition).normalize();                      // normalized direction from user to moon
+                const indicator = SunMoonTracker.getDirectionIndicator(moonWatch.info, {tolerance:10});
+                script.arrow.anchors.setCenter(indicator.position);                                                 // screentransform on the screen edge
+                script.arrow.rotation = quat.angleAxis(-indicator.angle * MathUtils.DegToRad, vec3.forward());      // pointing towards the moon
+                script.arrow.getSceneObject().enabled = !indicator.onTarget;                                       // hide when looking at it
+            });
 
-                // dynamically scale the moon depending on how far away it will be placed
-                const moonScale = 100 * (script.cam.far/1000);                                  // moon scale=100 at camera far=1000. adapt to any render distance
-                script.moon.getTransform().setWorldScale( vec3.one().uniformScale(moonScale) ); // apply scale
 
-                // set moon position
-                const moonOffset = dir.uniformScale(script.cam.far - moonScale);        // relative position for moon, at render distance minus margin
-                const moonPosition = userPosition.add(moonOffset);                      // offset from user
-                script.moon.getTransform().setWorldPosition(moonPosition);              // set moon position
-            }
+
+
+
+        Ask the user to hold their phone upright when that's why the search failed
+
+            SunMoonTracker.getSunAsync({headingTimeout:5}).then(function(info){
+                print("The sun is at " + info.azimuth.toFixed(0) + " degrees");
+            }).catch(function(err){
+                if(err.code == SunMoonTracker.ErrorCode.DeviceTilted) print("Hold your phone upright and try again");
+                else if(err.code == SunMoonTracker.ErrorCode.PermissionDenied) print("This lens needs your location");
+                else print(err);
+            });
+
+
+
+
+
+        Calibrate the compass: ask the user to center the sun on screen and tap, a few times while tilting the phone sideways
+
+            const calibration = SunMoonTracker.calibrateHeading("Sun", {onReady:function(){ print("Put the sun in the center and tap"); }});
+            script.createEvent("TapEvent").bind(function(){
+                const result = calibration.confirm();
+                if(result) print("Calibrated from " + result.samples + " taps, within " + result.accuracy.toFixed(1) + " degrees");
+            });
+
+
+
+
+
+        Show where the shade of a table will be at 3pm today, and if a plant spot gets sun
+
+            SunMoonTracker.getSun(function(info){
+                const table = {min:new vec3(-50, 0, -100), max:new vec3(50, 75, -50)};           // world space box, in cm
+                const threePm = new Date(info.date);
+                threePm.setHours(15, 0, 0, 0);
+                const shadow = SunMoonTracker.getShadow(table, {date:threePm});
+                if(shadow) drawPolygon(shadow.outline);                                             // your own line renderer
+                print("Plant spot is " + (SunMoonTracker.isSunlit(new vec3(0, 0, -150), [table], {date:threePm}) ? "sunny" : "shaded") + " at 3pm");
+            });
+
+
+
+
+
+        Record a session and print it on tap, to find out why the sun is in the wrong place on someone's device
+
+            const recording = SunMoonTracker.startRecording();
+            SunMoonTracker.getSun(function(info){});
+            script.createEvent("TapEvent").bind(function(){
+                print(recording.exportJSON());                                  // paste in a script in Lens Studio, and call SunMoonTracker.replay() on it
+            });
+
+
+
+
+
+        Tell the user what they tapped on in the sky
+
+            script.createEvent("TapEvent").bind(function(eventData){
+                const tap = eventData.getTapPosition();                                         // 0-1, inversed y-axis
+                const sky = SunMoonTracker.screenToSky(new vec2(tap.x*2 - 1, 1 - tap.y*2));     // remap to -1 - 1
+                if(sky && sky.body) print("That's " + sky.body.name);
+            });
+
+
+
+
+
+        Tell the user how long until sunset, using the location from an earlier getSun call
+
+            SunMoonTracker.getSun(function(info){
+                const times = SunMoonTracker.getTimes(info.date, info.userLatitude, info.userLongitude);
+                if(times.sunset && times.sunset > info.date){
+                    const minutes = Math.round((times.sunset - info.date) / 60000);
+                    print("The sun sets in " + minutes + " minutes");
+                }
+            });
 */
 
 
@@ -134,52 +745,152 @@
 //@ui {"widget":"label", "label":""}
 //@ui {"widget":"separator"}
 //@input Component.DeviceTracking deviceTracking
+//@input bool highPrecision {"hint":"Use the full lunar series and a better solar theory, including parallax and refraction. Slower, but accurate to ~0.01 degrees."}
+//@input bool realign {"hint":"Keep improving the heading alignment of earlier results as better compass readings arrive."}
+//@input bool locationFallback {"hint":"When there is no GPS location (denied, unavailable or too slow), use the last known location, or a rough guess from the device's time zone, instead of failing."}
+//@input bool useManualLocation {"hint":"Use a fixed location instead of GPS."}
+//@input float manualLatitude {"showIf":"useManualLocation"}
+//@input float manualLongitude {"showIf":"useManualLocation"}
 const tracking = script.deviceTracking;
 const cam = tracking ? tracking.getSceneObject().getComponent("Component.Camera") : null; // assuming camera is same sceneobject as device tracking
 
+// modules
+require('LensStudio:RawLocationModule');
+const Astronomy = require('./Sun Moon Astronomy');
+const StarCatalog = require('./Star Catalog');
+
 // access
 global.SunMoonTracker = script;
-script.getSun = function(onSuccess, onFail){ getOrb(OrbType.Sun, onSuccess, onFail) };
-script.getMoon = function(onSuccess, onFail){ getOrb(OrbType.Moon, onSuccess, onFail) };
+script.getSun = function(onSuccess, onFail, options){ getOrb(OrbType.Sun, onSuccess, onFail, options) };
+script.getMoon = function(onSuccess, onFail, options){ getOrb(OrbType.Moon, onSuccess, onFail, options) };
+script.getBody = getBody;
+script.getSunAsync = function(options){ return getOrbAsync(OrbType.Sun, options) };
+script.getMoonAsync = function(options){ return getOrbAsync(OrbType.Moon, options) };
+script.getBodyAsync = getBodyAsync;
+script.getSky = getSky;
+script.setLocation = setLocation;
+script.getStoredLocation = getStoredLocation;
+script.getSkyAsync = getSkyAsync;
+script.registerBody = registerBody;
+script.getTimes = function(date, latitude, longitude){ return Astronomy.getTimes(date || getProvider().now(), latitude, longitude, !!script.highPrecision) };
+script.getEclipses = function(date, latitude, longitude, height, count){ return Astronomy.getEclipses(date || getProvider().now(), latitude, longitude, height, count) };
+script.getSunMoonOverlap = function(date, latitude, longitude, height){ return Astronomy.getSunMoonOverlap(date || getProvider().now(), latitude, longitude, height) };
+script.computeSky = computeSky;
+script.getPath = getPath;
+script.getAnalemma = getAnalemma;
+script.watch = watch;
+script.createSkyAnchor = createSkyAnchor;
+script.getLighting = getLighting;
+script.createLightRig = createLightRig;
+script.getShadow = getShadow;
+script.isSunlit = isSunlit;
 script.worldToScreen = worldToScreen;
-
-// modules
-require('LensStudio:RawLocationModule');
+script.getDirectionIndicator = getDirectionIndicator;
+script.raDecToWorld = raDecToWorld;
+script.screenToSky = screenToSky;
+script.getStars = getStars;
+script.getConstellations = getConstellations;
+script.calibrateHeading = calibrateHeading;
+script.getHeadingCalibration = getHeadingCalibration;
+script.resetHeadingCalibration = resetHeadingCalibration;
+script.startRecording = startRecording;
+script.replay = replay;
+script.setProvider = setProvider;
+script.createMockProvider = createMockProvider;
+script.onInfoChanged = {add:function(callback){ infoChangedCallbacks.push(callback) }, remove:function(callback){ const i = infoChangedCallbacks.indexOf(callback); if(i != -1) infoChangedCallbacks.splice(i, 1) }};
 
 // store
     // settings
     const initialWait = 1; // don't allow gps check before this time, as device tracking component sometimes needs time to stabilize on lens start
+    const defaultGPSTimeout = 15; // give up on a GPS location after this time (s)
+    const defaultHeadingTimeout = 10; // give up on a recent heading (with the device upright) after this time (s)
     const headingLifetime = .15; // how long heading data should stay valid (s)
-    const flipHeadingOnSpectacles = true; // on Spectacles, the heading seems to be off by 180 degrees. use this to offset.
-
-    // device tilt returns unexpected offset in heading. use this to postpone tracking when over threshold, and to compensate heading
+    const headingWindow = 2; // how long heading samples are kept for averaging (s)
+    const minHeadingSamples = 3; // samples needed before a heading is used
+    const fullConfidenceSamples = 30; // samples needed for full heading confidence
+    const headingOutlierThreshold = 20; // samples further from the average heading than this are ignored (degrees)
+    const realignInterval = .5; // time between re-alignments of earlier results (s)
+    const skyAnchorDistance = .95; // default sky anchor distance, as a fraction of the camera's far plane
+    const indicatorMargin = .1; // default distance of off-screen indicators from the screen edge (screen space)
+    const onTargetTolerance = 5; // default angle from the center of view that counts as facing a target (degrees)
+    const pickTolerance = 3; // default max angle between a screen point and a body's edge to count as pointing at it (degrees)
+    const storageKey = "SunMoonTracker.lastLocation"; // persistent storage key for the last GPS location
+    const manualAccuracy = 100; // default accuracy of a manual location (m)
+    const earthRadius = 637813700; // cm
+    const timeZoneLatitudes = {north:45, south:-35, none:20}; // typical latitudes for time zones with daylight saving time in july, in january, or without
+    const timeZoneAccuracy = 3000000; // m, a time zone is ~15 degrees wide and the latitude is a guess
+    const nightBrightness = .15; // with adaptive exposure, light intensity in the darkest night (1 = bright daylight)
+    const flipHeadingOnSpectacles = true; // on Spectacles, the heading seems to be off by 180 degrees. use this to offset (until calibrated with calibrateHeading)
+
+    // device tilt returns unexpected offset in heading. use this to postpone tracking when over threshold, and to compensate heading (until calibrated with calibrateHeading)
     const awaitUpright = true;
     const uprightThreshold = .7; // arbitrary amount, after this the offset seems too noticeable
     const tiltHeadingOffset = 75; // heading range to compensate tilt (measured for uprightThreshold=1)
 
+    // heading calibration
+    const calibrationStorageKey = "SunMoonTracker.headingCalibration."; // persistent storage key, followed by the device type
+    const calibrationAltitudeTolerance = 10; // max altitude difference between the center of view and the body when confirming (degrees)
+    const minCalibrationTiltRange = 10; // tilt range needed between confirmations to solve the tilt compensation (degrees)
+    const minCalibrationConfidence = .5; // heading confidence (0-1) needed to confirm
+
+    // diagnostics
+    const maxRecordingEntries = 20000; // default, oldest entries are dropped after this (headings come in every frame, so this is ~10 minutes)
+    const recordingColumns = ["type", "time", "date", "body", "latitude", "longitude", "userAltitude", "horizontalAccuracy", "verticalAccuracy", "source", "rawHeading", "heading", "tilt", "frontCameraFlip", "forwardX", "forwardY", "forwardZ", "used", "azimuth", "altitude", "directionX", "directionY", "directionZ", "userHeading", "headingAccuracy", "headingConfidence"];
+
     // orb data
     const OrbType = {
         Sun:    {   name:"Sun",
-                    getPosition:getSunPosition,
-                    isSearching:false
+                    getPosition:getSunPosition
                 },   
         Moon:   {   name:"Moon",
                     getPosition:getMoonPosition,
-                    isSearching:false
+                    getDetails:Astronomy.getMoonIllumination // extra data to add to info
                 },
     };
 
+    // error codes, in TrackerError.code
+    const ErrorCode = {
+        PermissionDenied:   "PERMISSION_DENIED",    // no access to the location
+        GPSUnavailable:     "GPS_UNAVAILABLE",      // location request failed
+        GPSTimeout:         "GPS_TIMEOUT",          // no location in time
+        NoHeading:          "NO_HEADING",           // no recent compass heading in time
+        DeviceTilted:       "DEVICE_TILTED",        // device not held upright in time
+    };
+    script.ErrorCode = ErrorCode;
+
     // logging
     const title = "[SunMoonTracker] ";
     const noDeviceTracking = "No DeviceTracking component selected!";
     const noCallback = "No onSuccess callback given!";
-    const alreadyActive = "Aborted because a search is already active.";
+    const gpsTimedOut = "No GPS location found in time.";
+    const noHeadingFound = "No compass heading found in time.";
+    const deviceTilted = "The device was not held upright in time.";
+    const unknownBody = "Unknown celestial body!";
+    const invalidBody = "registerBody needs a name and a position function!";
+    const noCamera = "No camera for the sky anchor!";
+    const noLocation = "No location given, and no getSun/getMoon/getBody result yet!";
+    const invalidProvider = "Provider needs getCurrentPosition, startHeading and now functions!";
+    const mockGPSFailure = "Simulated GPS failure.";
+    const calibrationStopped = "Heading calibration was stopped.";
+    const invalidRecording = "Not a recording!";
 
     // placeholder
     var foundHeadingTime; // heading data timestamp
     var foundHeading; // 0=true north, 90=east
+    var headingSamples = []; // recent {offset, time}, where offset is the heading plus the device's yaw in world space (stays the same when turning around)
+    var latestInfos = {}; // most recent info per orb name, to re-align
+    var lastRealignTime = 0;
+    var pendingRealign; // reason to re-align as soon as the heading is ready ("trackingReset", "cameraFlip" or "headingCalibration")
+    const infoChangedCallbacks = []; // onInfoChanged subscribers
     var tilt; // current tilt angle
-    var locationService; // created once on first request
+    var acquisition; // current GPS and heading search, shared by all callers
+    var manualLocation; // set with setLocation, replaces GPS
+    var provider; // location, heading and clock source (device by default)
+    var headingProvider; // provider the heading is currently coming from
+    var lastPosition; // most recent GPS location
+    var lastCalibration; // heading alignment of the most recent result
+    var headingCorrection; // {headingOffset, tiltFactor, maxTilt, ...} from calibrateHeading, null to use the defaults above
+    var recording; // current diagnostics recording, from startRecording
     var frontCameraFlip; // if currently using front camera
     const specs = global.deviceInfoSystem.isSpectacles(); // if currently on spectacles
 
@@ -193,236 +904,1430 @@ function init(){
     if(!specs){
         script.createEvent("CameraBackEvent").bind(function(){
             frontCameraFlip = false;
+            onWorldChanged("cameraFlip"); // heading is mirrored on front cam
         });
         script.createEvent("CameraFrontEvent").bind(function(){
             frontCameraFlip = true;
+            onWorldChanged("cameraFlip");
         });
     }
+
+    // world space changes on tracking reset (like with Surface tracking)
+    script.createEvent("WorldTrackingResetEvent").bind(function(){
+        onWorldChanged("trackingReset");
+    });
+
+    // heading calibration from an earlier session
+    headingCorrection = loadHeadingCorrection();
+
+    // location from UI
+    if(script.useManualLocation) setLocation(script.manualLatitude, script.manualLongitude);
+
+    // keep improving earlier results
+    script.createEvent("UpdateEvent").bind(realignResults);
 };
 init();
 
 
 
-function getOrb(orbType, onSuccess, onFail){
-    // onSuccess callback check
+function getOrb(orbType, onSuccess, onFail, options){
     if(typeof onSuccess != "function") throw(title + noCallback);
+    return requestOrbs([orbType], function(infos){
+        onSuccess(infos[orbType.name]);
+    }, onFail, options);
+}
 
-    // only 1 search at a time
-    if(orbType.isSearching){
-        if(onFail) onFail(alreadyActive);
-        return;
-    }
-    orbType.isSearching = true;
 
-    // create service once
-    if(!locationService){
-        locationService = GeoLocation.createLocationService();
-        locationService.accuracy = GeoLocationAccuracy.Low;
+// get the info of multiple orbs at once. all pending requests (for any orb) share one GPS location and heading, and are resolved together. returns a function to cancel this request
+function requestOrbs(orbTypes, onSuccess, onFail, options){
+    // onSuccess callback check
+    if(typeof onSuccess != "function") throw(title + noCallback);
 
-        // continuous background search for heading
-        locationService.onNorthAlignedOrientationUpdate.add(
-            function(h){
-                // needs to run from the start to prevent heading-inverting bug
-                foundHeading = GeoLocation.getNorthAlignedHeading(h);
-                foundHeadingTime = getTime(); // timestamp to check if data is recent enough
-            }
-        );
-    }
+    // timeouts (s), 0 to wait forever
+    options = options || {};
+    const caller = {
+        orbTypes,
+        onSuccess,
+        onFail,
+        gpsTimeout: options.gpsTimeout != null ? options.gpsTimeout : defaultGPSTimeout,
+        headingTimeout: options.headingTimeout != null ? options.headingTimeout : defaultHeadingTimeout,
+        timeoutEvent: null
+    };
 
-    // cache for simultaneous search
-    var foundPosition;
+    // continuous background search for heading (needs to run from the start to prevent heading-inverting bug)
+    startHeading();
 
-    // await lens start
-    if(getTime() > initialWait){
-        requestUserPosition();
-    }else{
-        const initialWaitEvent = script.createEvent("UpdateEvent");
-        initialWaitEvent.bind(function(){
-            if(getTime() > initialWait){
-                script.removeEvent(initialWaitEvent);
-                requestUserPosition();
-            }
-        })
-    }
+    // join the current search, or start a new one
+    const isNew = !acquisition;
+    if(isNew) createAcquisition();
+    acquisition.callers.push(caller);
+    if(acquisition.position) startHeadingTimeout(caller);
+    else startGPSTimeout(caller);
+    if(isNew) acquisition.start(); // after joining, as it can finish right away
 
-    function requestUserPosition(){
-        function onPositionFound(p){
-            foundPosition = p;
+    return function(){
+        removeCaller(caller);
+    };
+}
 
-            function isReady(){
-                if(foundHeading && checkTimeStamp(foundHeadingTime, headingLifetime) && !checkTilt()) return true;
-            }
 
-            if(isReady()){
-                interpretTrackingData();
-            }else{
-                const awaitingHeading = script.createEvent("UpdateEvent");
-                awaitingHeading.bind(function(){
-                    if(isReady()){
-                        script.removeEvent(awaitingHeading);
-                        interpretTrackingData();
-                    }
-                });
-            }
-        }
+// search GPS location and heading once, for all callers
+function createAcquisition(){
+    const current = {callers:[], position:null, events:[], start, setPosition, restart};
+    acquisition = current;
+    var requested = false; // the location was asked from the provider
 
-        // only do GPS location request once per session, as location will not change significantly anyways
-        if(foundPosition){
-            onPositionFound(foundPosition);
+    function start(){
+        // await lens start
+        if(getTime() > initialWait){
+            requestUserPosition();
         }else{
-            // request latest GPS location (first in session can take a little longer)
-            locationService.getCurrentPosition(
-                onPositionFound, 
-                function(err){
-                    if(onFail) onFail(err);
+            const initialWaitEvent = addEvent("UpdateEvent", function(){
+                if(getTime() > initialWait){
+                    removeEvent(initialWaitEvent);
+                    requestUserPosition();
                 }
-            );
+            });
         }
     }
 
-    // once all data is ready, do sun calculation
-    function interpretTrackingData(){
-        // new searches can be started from now on
-        orbType.isSearching = false;
-
-        // working copy
-        var heading = foundHeading;
-
-        // swap when on front cam
-        if(frontCameraFlip) heading *= -1;
-        if(specs && flipHeadingOnSpectacles) heading += 180;
+    function requestUserPosition(){
+        requested = true;
 
-        // tilt offset
-        if(tilt){
-            const tiltOffset = remap(tilt, -uprightThreshold, uprightThreshold, (-tiltHeadingOffset/2) * uprightThreshold, (tiltHeadingOffset/2) * uprightThreshold);
-            heading -= tiltOffset;
+        // manual location, no GPS needed
+        if(manualLocation){
+            setPosition(Object.assign({}, manualLocation, {date:getProvider().now()}));
+            return;
         }
 
-        // get orb position at current lat, long, date
-        const date = new Date();
-        const lat = foundPosition.latitude;
-        const long = foundPosition.longitude;
-        const alt = foundPosition.altitude;
-        const orbSkyLocation = orbType.getPosition(date, lat, long);
-        const azimuth = orbSkyLocation.azimuth;
-        const altitude = orbSkyLocation.altitude;
-        const distance = orbSkyLocation.distance;
-        const localDir = orbDirection( frontCameraFlip?180-azimuth:azimuth, altitude); // create local vector (reverse on front cam)
-        const deviceVec = rotateY(localDir, -heading); // compensate for heading
-
-        // convert local to world
-        const fwd = tracking.getTransform().forward;
-        const fwdAngle = Math.atan2(fwd.x, fwd.z);
-        const userFwdRot = quat.angleAxis(fwdAngle, vec3.up()); // user rotation around y (flattened)
-        const direction = userFwdRot.multiplyVec3(deviceVec); // world space vector from user's position to orb
-        const directionalRot = quat.lookAt(direction, vec3.up()); // the rotation a directional light should have to mimic orb origin
-        const worldPosition = direction.uniformScale(distance); // world space position
-        
-        // callback
-        const info = {directionalRot, direction, azimuth, altitude, distance, position:worldPosition, userHeading:heading, userLatitude:lat, userLongitude:long, horizontalAccuracy:foundPosition.horizontalAccuracy, verticalAccuracy:foundPosition.verticalAccuracy, userAltitude:alt, date, name:orbType.name};
-        onSuccess(info);
+        // request latest GPS location (first in session can take a little longer)
+        const requestProvider = getProvider();
+        requestProvider.getCurrentPosition(
+            function(p){
+                if(provider != requestProvider) return; // provider was replaced, the new one is asked instead
+                const position = {latitude:p.latitude, longitude:p.longitude, altitude:p.altitude, horizontalAccuracy:p.horizontalAccuracy, verticalAccuracy:p.verticalAccuracy, source:"gps", date:getProvider().now()};
+                storeLocation(position); // also when it came in too late, for next time
+                if(recording) recording.add({type:"gps", position:positionToObject(position)});
+                if(acquisition != current || current.position) return; // all callers timed out, or a fallback is used
+                setPosition(position);
+            },
+            function(err){
+                if(acquisition != current || current.position || provider != requestProvider) return;
+                const code = isPermissionError(err) ? ErrorCode.PermissionDenied : ErrorCode.GPSUnavailable;
+                const fallback = getFallbackLocation(code);
+                if(fallback){
+                    setPosition(fallback);
+                    return;
+                }
+                const callers = current.callers.slice();
+                endAcquisition();
+                callers.forEach(function(caller){ failCaller(caller, code, String(err), err); });
+            }
+        );
     }
-}
-
 
+    // the provider was replaced: ask the new one for the location, and give everyone the full GPS time again
+    function restart(){
+        if(!requested) return; // still awaiting lens start, the request will go to the new provider
+        current.position = null;
+        while(current.events.length) script.removeEvent(current.events.pop()); // stop waiting for the heading
+        current.callers.forEach(startGPSTimeout);
+        requestUserPosition();
+    }
 
-// sun: get azimuth and altitude (degrees) based on date, lat, long
-function getSunPosition(date, latitude, longitude){
-    const earthTiltRad = degToRad(23.44);
-    const AU_IN_CM = 1.495978707e13; // 1 AU = ~1.496 * 10^13 cm
+    // location is known, now wait for the heading
+    function setPosition(position){
+        current.position = position;
+        lastPosition = position; // keep for watchers
+        current.callers.forEach(startHeadingTimeout);
 
-    // solar mean anomaly
-    function getSolarMeanAnomaly(d){
-        return degToRad(357.5291 + 0.98560028 * d);
+        if(isHeadingReady()){
+            onTrackingDataReady();
+        }else{
+            addEvent("UpdateEvent", function(){
+                if(isHeadingReady()) onTrackingDataReady();
+            });
+        }
     }
 
-    // equation of center
-    function getEquationOfCenter(M){
-        return degToRad(1.9148 * Math.sin(M) + 0.02 * Math.sin(2 * M) + 0.0003 * Math.sin(3 * M));
+    // once all data is ready, calculate all requested orbs at the same moment
+    function onTrackingDataReady(){
+        const callers = current.callers;
+        endAcquisition(); // new searches can be started from now on
+        const date = getProvider().now();
+        const infos = {}; // per orb name, shared by callers
+        callers.forEach(function(caller){
+            removeTimeout(caller);
+            const result = {};
+            caller.orbTypes.forEach(function(orbType){
+                if(!infos[orbType.name]) infos[orbType.name] = interpretTrackingData(orbType, current.position, date);
+                result[orbType.name] = infos[orbType.name];
+            });
+            caller.onSuccess(result);
+        });
     }
 
-    // ecliptic longitude
-    function getEclipticLongitude(M, C){
-        return M + C + degToRad(102.9372) + Math.PI;
+    function addEvent(eventType, callback){
+        const event = script.createEvent(eventType);
+        event.bind(callback);
+        current.events.push(event);
+        return event;
     }
 
-    // declination
-    function getDeclination(L){
-        return Math.asin(Math.sin(L) * Math.sin(earthTiltRad));
+    function removeEvent(event){
+        const i = current.events.indexOf(event);
+        if(i != -1) current.events.splice(i, 1);
+        script.removeEvent(event);
     }
+}
+
+
+// stop the current search, nothing of it keeps running
+function endAcquisition(){
+    if(!acquisition) return;
+    while(acquisition.events.length) script.removeEvent(acquisition.events.pop());
+    acquisition = null;
+}
+
+
+// give up on one caller
+function failCaller(caller, code, message, cause){
+    removeCaller(caller);
+    if(caller.onFail) caller.onFail(createError(code, message, cause));
+}
+
+
+// stop waiting for one caller, without calling back. the search stops when nobody is waiting anymore
+function removeCaller(caller){
+    removeTimeout(caller);
+    if(!acquisition) return;
+    const i = acquisition.callers.indexOf(caller);
+    if(i != -1) acquisition.callers.splice(i, 1);
+    if(!acquisition.callers.length) endAcquisition();
+}
+
+
+// each caller waits for the GPS location for its own time
+function startGPSTimeout(caller){
+    removeTimeout(caller);
+    caller.timeoutEvent = createTimeout(caller.gpsTimeout, function(){
+        const fallback = getFallbackLocation(ErrorCode.GPSTimeout);
+        if(fallback) acquisition.setPosition(fallback); // for everyone waiting
+        else failCaller(caller, ErrorCode.GPSTimeout, gpsTimedOut);
+    });
+}
+
+
+// after the GPS location is found, each caller waits for a heading for its own time
+function startHeadingTimeout(caller){
+    removeTimeout(caller);
+    caller.timeoutEvent = createTimeout(caller.headingTimeout, function(){
+        if(foundHeading != null && checkTilt()) failCaller(caller, ErrorCode.DeviceTilted, deviceTilted); // compass works, but only upright readings are used
+        else failCaller(caller, ErrorCode.NoHeading, noHeadingFound);
+    });
+}
+
+
+// call back after a number of seconds (none if 0)
+function createTimeout(seconds, callback){
+    if(!seconds) return null;
+    const event = script.createEvent("DelayedCallbackEvent");
+    event.bind(callback);
+    event.reset(seconds);
+    return event;
+}
+
 
-    // right ascension
-    function getRightAscension(L){
-        return Math.atan2(Math.sin(L) * Math.cos(earthTiltRad), Math.cos(L));
+function removeTimeout(caller){
+    if(!caller.timeoutEvent) return;
+    script.removeEvent(caller.timeoutEvent);
+    caller.timeoutEvent = null;
+}
+
+
+// get a snapshot of multiple orbs, all calculated at the same moment. onSuccess gets an object with an 'info' per orb name
+function getSky(bodies, onSuccess, onFail, options){
+    if(!Array.isArray(bodies)) bodies = [bodies];
+    const orbTypes = bodies.map(function(body){
+        const orbType = getOrbType(body);
+        if(!orbType) throw(title + unknownBody + " (" + body + ")");
+        return orbType;
+    });
+    requestOrbs(orbTypes, onSuccess, onFail, options);
+}
+
+
+// same as getSky, returns a promise
+function getSkyAsync(bodies, options){
+    return new Promise(function(resolve, reject){
+        getSky(bodies, resolve, reject, options);
+    });
+}
+
+
+// promise version of getOrb, rejects with a TrackerError
+function getOrbAsync(orbType, options){
+    return new Promise(function(resolve, reject){
+        getOrb(orbType, resolve, reject, options);
+    });
+}
+
+
+
+// convert orb sky location to world space, using the latest heading, tilt and camera data. 'date' is optional, default now. 'state' replays a recorded result instead (see getTrackingState), without changing anything
+function interpretTrackingData(orbType, foundPosition, date, state){
+    const replaying = !!state;
+    state = state || getTrackingState();
+    const calibration = getCalibration(state);
+    if(!replaying) lastCalibration = calibration; // keep, so other sky coordinates can be placed with the same alignment
+
+    // get orb position at current lat, long, date
+    date = date || getProvider().now();
+    const lat = foundPosition.latitude;
+    const long = foundPosition.longitude;
+    const alt = foundPosition.altitude;
+    const sky = getOrbSky(orbType, date, lat, long, alt);
+    sky.expectedError += radToDeg((foundPosition.horizontalAccuracy || 0) * 100 / earthRadius); // moving over the earth moves the sky by the same angle
+    
+    // result
+    const info = {directionalRot:null, direction:null, azimuth:sky.azimuth, altitude:sky.altitude, distance:sky.distance, position:null, userHeading:null, headingAccuracy:null, headingConfidence:null, userLatitude:lat, userLongitude:long, horizontalAccuracy:foundPosition.horizontalAccuracy, verticalAccuracy:foundPosition.verticalAccuracy, userAltitude:alt, locationSource:foundPosition.source || "gps", locationError:foundPosition.error || null, locationAge:foundPosition.date ? (date - foundPosition.date) / 1000 : 0, date, name:orbType.name};
+    applyCalibration(info, calibration);
+    addDetails(info, sky);
+    if(replaying) return info;
+
+    latestInfos[orbType.name] = info; // keep, to re-align later
+    if(recording) recording.add({type:"result", body:orbType.name, date:date.getTime(), highPrecision:!!script.highPrecision, position:positionToObject(foundPosition), state:{samples:state.samples.slice(), fwdAngle:state.fwdAngle, frontCameraFlip:state.frontCameraFlip}, azimuth:info.azimuth, altitude:info.altitude, direction:vecToObject(info.direction), userHeading:info.userHeading, headingAccuracy:info.headingAccuracy, headingConfidence:info.headingConfidence});
+    return info;
+}
+
+
+// set the world space data of an info object, using a calibration from getCalibration
+function applyCalibration(info, calibration){
+    info.direction = skyToWorld(info.azimuth, info.altitude, calibration); // world space vector from user's position to orb
+    info.directionalRot = quat.lookAt(info.direction, vec3.up()); // the rotation a directional light should have to mimic orb origin
+    info.position = info.direction.uniformScale(info.distance); // world space position
+    info.userHeading = calibration.heading;
+    info.headingAccuracy = calibration.accuracy;
+    info.headingConfidence = calibration.confidence;
+}
+
+
+// the relation between world space and the compass is lost, so heading samples can't be used anymore. re-align the latest results once new ones are in
+function onWorldChanged(reason){
+    headingSamples = [];
+    if(lastCalibration) pendingRealign = reason;
+}
+
+
+// re-align the most recent results after a world change, or when the heading estimate is at least as confident (if 'realign' is enabled)
+function realignResults(){
+    if(!lastCalibration) return;
+    if(!pendingRealign && (!script.realign || getTime() - lastRealignTime < realignInterval)) return;
+    if(!isHeadingReady()) return;
+    lastRealignTime = getTime();
+
+    const calibration = getCalibration();
+    if(!pendingRealign && calibration.confidence < lastCalibration.confidence) return;
+    const reason = pendingRealign || "realign";
+    pendingRealign = null;
+    lastCalibration = calibration;
+    for(const name in latestInfos){
+        const info = latestInfos[name];
+        applyCalibration(info, calibration);
+        for(var i = 0; i < infoChangedCallbacks.length; i++) infoChangedCallbacks[i](info, reason);
     }
+}
+
+
+// get the current relation between the device's world space and the compass, from the averaged heading samples. 'state' is optional, default is the current one
+function getCalibration(state){
+    state = state || getTrackingState();
+    const estimate = getHeadingEstimate(state.samples);
+    const heading = wrapDegrees(estimate.offset - radToDeg(state.fwdAngle)); // heading of the current device orientation
+
+    return {heading, fwdAngle:state.fwdAngle, frontCameraFlip:state.frontCameraFlip, accuracy:estimate.accuracy, confidence:estimate.confidence};
+}
+
+
+// everything a calibration is made of: heading samples, device rotation and camera
+function getTrackingState(){
+    return {samples:headingSamples, fwdAngle:getForwardAngle(), frontCameraFlip:!!frontCameraFlip};
+}
+
 
-    // hour angle
-    function getHourAngle(siderealTime, rightAscension){
-        return siderealTime - rightAscension;
+// store a new compass reading (with front camera, spectacles and tilt compensation), in a way that doesn't depend on where the user is looking
+function addHeadingSample(h){
+    if(h == null || isNaN(h)) return;
+    const tooTilted = checkTilt(); // too tilted to be reliable
+    const heading = correctHeading(h, tilt);
+    if(recording) recording.add({type:"heading", rawHeading:h, heading:wrapDegrees(heading), tilt:radToDeg(tilt || 0), frontCameraFlip:!!frontCameraFlip, forward:vecToObject(tracking.getTransform().forward), used:!tooTilted});
+    if(tooTilted) return;
+
+    const time = getTime();
+    headingSamples.push({offset:wrapDegrees(heading + radToDeg(getForwardAngle())), time});
+
+    // forget old samples
+    while(headingSamples.length && time - headingSamples[0].time > headingWindow) headingSamples.shift();
+}
+
+
+// device heading with front camera, device offset and tilt compensation
+function correctHeading(h, tilt){
+    const correction = getHeadingCorrection();
+
+    // swap when on front cam
+    var heading = frontCameraFlip ? -h : h;
+    heading += correction.headingOffset;
+
+    // tilt offset
+    if(tilt) heading -= radToDeg(tilt) * correction.tiltFactor;
+    return heading;
+}
+
+
+// average of heading samples, ignoring outliers. returns {offset, accuracy (standard deviation in degrees), confidence (0-1)}
+function getHeadingEstimate(samples){
+    // center: the sample closest to all others, so outliers can't pull it away
+    var center;
+    var lowestTotal = Infinity;
+    for(var i = 0; i < samples.length; i++){
+        var total = 0;
+        for(var j = 0; j < samples.length; j++) total += Math.abs(angleDifference(samples[j].offset, samples[i].offset));
+        if(total < lowestTotal){
+            lowestTotal = total;
+            center = samples[i].offset;
+        }
     }
 
-    // distance in AU
-    function getSunDistanceAU(M, C){
-        return 1.00014 - 0.01671 * Math.cos(M) - 0.00014 * Math.cos(2 * M + C);
+    // average of inliers, relative to center (handles 0/360 wraparound)
+    var sum = 0;
+    var sumSquared = 0;
+    var count = 0;
+    for(var i = 0; i < samples.length; i++){
+        const difference = angleDifference(samples[i].offset, center);
+        if(Math.abs(difference) > headingOutlierThreshold) continue;
+        sum += difference;
+        sumSquared += difference * difference;
+        count++;
     }
+    const mean = sum / count;
+    const accuracy = Math.sqrt(Math.max(0, sumSquared / count - mean * mean));
+
+    // less confident with outliers, spread or few samples
+    const inlierFraction = count / samples.length;
+    const spread = Math.max(0, 1 - accuracy / headingOutlierThreshold);
+    const amount = Math.min(1, count / fullConfidenceSamples);
+
+    return {offset:wrapDegrees(center + mean), accuracy, confidence:inlierFraction * spread * amount};
+}
+
+
+// convert azimuth and altitude (degrees) to a normalized world space direction, using a calibration from getCalibration
+function skyToWorld(azimuth, altitude, calibration){
+    const localDir = orbDirection( calibration.frontCameraFlip?180-azimuth:azimuth, altitude); // create local vector (reverse on front cam)
+    const deviceVec = rotateY(localDir, -calibration.heading); // compensate for heading
+
+    // convert local to world
+    const userFwdRot = quat.angleAxis(calibration.fwdAngle, vec3.up());
+    return userFwdRot.multiplyVec3(deviceVec);
+}
+
+
+// convert a world space direction to azimuth and altitude (degrees), using a calibration from getCalibration. inverse of skyToWorld
+function worldToSky(direction, calibration){
+    // convert world to local
+    const userFwdRot = quat.angleAxis(-calibration.fwdAngle, vec3.up());
+    const deviceVec = userFwdRot.multiplyVec3(direction);
+    const localDir = rotateY(deviceVec, calibration.heading); // undo heading
+
+    const sky = Astronomy.getAzimuthAltitude(localDir.normalize());
+    if(calibration.frontCameraFlip) sky.azimuth = wrapDegrees(180 - sky.azimuth); // reverse on front cam
+    return sky;
+}
+
+
+// convert right ascension and declination (degrees, J2000) to world space, aligned like the latest sun/moon result. returns null if there is no result yet
+function raDecToWorld(ra, dec, date){
+    if(!lastCalibration || !lastPosition) return null;
+    date = date || getProvider().now();
+
+    const position = Astronomy.getRaDecPosition(ra, dec, date, lastPosition.latitude, lastPosition.longitude, lastPosition.altitude, !!script.highPrecision);
+    const direction = skyToWorld(position.azimuth, position.altitude, lastCalibration);
+    const expectedError = position.accuracy + (position.refraction ? position.refraction * .1 : Astronomy.getRefraction(position.altitude)) + radToDeg((lastPosition.horizontalAccuracy || 0) * 100 / earthRadius); // like an info's
+    return {direction, azimuth:position.azimuth, altitude:position.altitude, expectedError};
+}
+
+
+
+// find what's in the sky at a screen position (-1 to 1, default is the center of view), aligned like the latest sun/moon result. returns null if there is no result yet
+function screenToSky(screenPosition, options){
+    if(!lastCalibration || !lastPosition) return null;
+
+    // settings
+    options = options || {};
+    const camera = options.camera || cam;
+    if(!camera) throw(title + noCamera);
+    const tolerance = options.tolerance != null ? options.tolerance : pickTolerance;
+    const date = options.date || getProvider().now();
+    screenPosition = screenPosition || new vec2(0, 0);
+
+    // screen to world space direction
+    const screenPoint = new vec2(screenPosition.x/2 + .5, .5 - screenPosition.y/2); // remap to (0-1, inversed y-axis)
+    const worldPosition = camera.screenSpaceToWorldSpace(screenPoint, camera.far * skyAnchorDistance);
+    const direction = worldPosition.sub(camera.getTransform().getWorldPosition()).normalize();
+
+    // world space to sky, undoing the alignment of the latest result
+    const sky = worldToSky(direction, lastCalibration);
+    const raDec = Astronomy.getRaDec(sky.azimuth, sky.altitude, date, lastPosition.latitude, lastPosition.longitude, !!script.highPrecision);
+
+    // nearest body within tolerance of its edge
+    var body = null;
+    const localDirection = orbDirection(sky.azimuth, sky.altitude);
+    const names = options.bodies || Object.keys(OrbType);
+    names.forEach(function(name){
+        const orbType = getOrbType(name);
+        if(!orbType) throw(title + unknownBody + " (" + name + ")");
+        const orbSky = getOrbSky(orbType, date, lastPosition.latitude, lastPosition.longitude, lastPosition.altitude);
+        const separation = radToDeg(localDirection.angleTo(orbSky.direction));
+        if(separation - (orbSky.angularDiameter || 0)/2 > tolerance) return;
+        if(!body || separation < body.separation) body = {name:orbType.name, separation, sky:orbSky};
+    });
+
+    return {direction, azimuth:sky.azimuth, altitude:sky.altitude, ra:raDec.ra, dec:raDec.dec, date, body};
+}
 
-    const d = toDays(date);
-    const lw = degToRad(-longitude);
-    const phi = degToRad(latitude);
-    const M = getSolarMeanAnomaly(d);
-    const C = getEquationOfCenter(M);
-    const L = getEclipticLongitude(M, C);
-    const dec = getDeclination(L);
-    const ra = getRightAscension(L);
-    const sidereal = getSiderealTime(d, lw);
-    const H = getHourAngle(sidereal, ra);
-    const distance = getSunDistanceAU(M, C);
-    const { azimuth, altitude } = getAzAlt(H, phi, dec);
+
+
+// guide the user towards a world position, or the direction of an info/SkyDirection object, also when it's off-screen or behind the camera
+function getDirectionIndicator(target, options){
+    // settings
+    options = options || {};
+    const camera = options.camera || cam;
+    if(!camera) throw(title + noCamera);
+    const margin = options.margin != null ? options.margin : indicatorMargin;
+    const tolerance = options.tolerance != null ? options.tolerance : onTargetTolerance;
+
+    // target in camera space (looking towards -z)
+    const transform = camera.getTransform();
+    const worldPosition = target.direction ? transform.getWorldPosition().add(target.direction.uniformScale(camera.far * skyAnchorDistance)) : target;
+    const local = transform.getInvertedWorldTransform().multiplyPoint(worldPosition);
+    const isInFront = local.z < 0;
+
+    // angles to turn
+    const yaw = radToDeg(Math.atan2(local.x, -local.z || 0)); // positive = turn right
+    const pitch = radToDeg(Math.atan2(local.y, Math.sqrt(local.x*local.x + local.z*local.z))); // positive = turn up
+    const offset = radToDeg(local.angleTo(new vec3(0, 0, -1))); // from the center of view
+
+    // behind the camera, the projection is mirrored. mirror the target to the front instead, so it points the shortest way around
+    var front = local;
+    if(!isInFront){
+        const minDepth = local.length * .01;
+        const x = (Math.abs(local.x) < minDepth && Math.abs(local.y) < minDepth) ? minDepth : local.x; // straight behind: turn right
+        front = new vec3(x, local.y, -Math.max(-local.z, minDepth));
+    }
+    var position = toScreenSpace(camera, transform.getWorldTransform().multiplyPoint(front));
+
+    // clamp to the screen edge
+    const edge = Math.max(Math.abs(position.x), Math.abs(position.y));
+    const isOnScreen = isInFront && edge <= 1;
+    if(!isOnScreen) position = position.uniformScale((1 - margin) / edge);
+
+    const angle = radToDeg(Math.atan2(position.x * (camera.aspect || 1), position.y)); // on screen, 0 = up, 90 = right
+    return {position, isOnScreen, isInFront, angle, yaw, pitch, offset, onTarget:offset <= tolerance};
+}
+
+
+
+// continuously track an orb. returns a handle with stop()
+function watch(body, onUpdate, options){
+    const orbType = getOrbType(body);
+    if(!orbType) throw(title + unknownBody + " (" + body + ")");
+    if(typeof onUpdate != "function") throw(title + noCallback);
+
+    // settings
+    options = options || {};
+    const interval = options.interval != null ? options.interval : 1; // minimum time between updates (s)
+    const angleThreshold = options.angleThreshold || 0; // only update when the direction changed by at least this angle (degrees)
+    const onFail = options.onFail;
+
+    var lastInfo; // last info sent to onUpdate
+    var lastUpdateTime; // time of last recalculation
+    var updateEvent;
+    var stopped = false;
+    const handle = {stop, info:null}; // 'info' is the latest result
+
+    function emit(info){
+        lastInfo = info;
+        handle.info = info;
+        onUpdate(info);
+    }
+
+    // first result uses the regular search (GPS + heading), after that the cached GPS location and latest heading are reused
+    const cancelSearch = getOrb(orbType, function(info){
+        if(stopped) return;
+        lastUpdateTime = getTime();
+        emit(info);
+
+        updateEvent = script.createEvent("UpdateEvent");
+        updateEvent.bind(function(){
+            if(getTime() - lastUpdateTime < interval) return;
+            if(!lastPosition || !isHeadingReady()) return; // keep last result until there is a location (after setProvider) and the heading is reliable again
+            lastUpdateTime = getTime();
+
+            const info = interpretTrackingData(orbType, lastPosition);
+            if(angleThreshold > 0 && radToDeg(info.direction.angleTo(lastInfo.direction)) < angleThreshold) return;
+            emit(info);
+        });
+    }, function(err){
+        if(!stopped && onFail) onFail(err);
+    }, options); // timeouts
+
+    function stop(){
+        stopped = true;
+        cancelSearch(); // if the first result isn't there yet, its search would keep running
+        if(updateEvent){
+            script.removeEvent(updateEvent);
+            updateEvent = null;
+        }
+    }
+
+    return handle;
+}
+
+
+
+// get any registered orb by name (like "Venus"), same as getSun/getMoon
+function getBody(name, onSuccess, onFail, options){
+    const orbType = getOrbType(name);
+    if(!orbType) throw(title + unknownBody + " (" + name + ")");
+    getOrb(orbType, onSuccess, onFail, options);
+}
+
+
+// same as getBody, returns a promise
+function getBodyAsync(name, options){
+    const orbType = getOrbType(name);
+    if(!orbType) throw(title + unknownBody + " (" + name + ")");
+    return getOrbAsync(orbType, options);
+}
+
+
+// keep a SceneObject in the direction of an orb, as far away as possible without clipping, at the orb's real apparent size. returns a handle with stop()
+function createSkyAnchor(sceneObject, body, options){
+    // settings
+    options = options || {};
+    const camera = options.camera || cam;
+    if(!camera) throw(title + noCamera);
+    const size = options.size || 1; // object diameter at scale 1 (cm)
+    const scale = options.scale != null ? options.scale : 1; // multiplier on the real size
+    const distance = options.distance || skyAnchorDistance; // fraction of the camera's far plane
+    const followCamera = options.followCamera != null ? options.followCamera : true; // keep centered on the camera each frame
+    const faceCamera = !!options.faceCamera; // point the object's forward towards the camera
+    const hideUntilFound = options.hideUntilFound != null ? options.hideUntilFound : true;
+
+    const transform = sceneObject.getTransform();
+    var center; // camera position at the last placement
+    var lastInfo;
+    const handle = {stop, info:null, watch:null};
+
+    if(hideUntilFound) sceneObject.enabled = false;
+    handle.watch = watch(body, function(info){
+        handle.info = info;
+        if(options.onUpdate) options.onUpdate(info);
+    }, {interval:options.interval, onFail:options.onFail, gpsTimeout:options.gpsTimeout, headingTimeout:options.headingTimeout});
+
+    const updateEvent = script.createEvent("UpdateEvent");
+    updateEvent.bind(function(){
+        const info = handle.info;
+        if(!info) return;
+        if(hideUntilFound) sceneObject.enabled = true;
+
+        // only move when needed
+        if(followCamera || !center || info != lastInfo) center = camera.getTransform().getWorldPosition();
+        lastInfo = info;
+
+        // apparent size
+        const halfAngle = degToRad(info.angularDiameter || 0) / 2;
+        const radius = Math.tan(halfAngle) * scale; // radius per distance
+
+        // place inside the far plane, including the object's own depth
+        const placeDistance = (camera.far * distance) / (1 + radius);
+        transform.setWorldPosition(center.add(info.direction.uniformScale(placeDistance)));
+        transform.setWorldScale(vec3.one().uniformScale(2 * radius * placeDistance / size));
+        if(faceCamera) transform.setWorldRotation(quat.lookAt(info.direction.uniformScale(-1), vec3.up()));
+    });
+
+    function stop(){
+        handle.watch.stop();
+        script.removeEvent(updateEvent);
+    }
+
+    return handle;
+}
+
+
+
+// get sunlight, moonlight and sky light colours (vec3) and illuminance (lux) at date, lat, long. no GPS or heading needed
+function getLighting(date, latitude, longitude, height){
+    const lighting = Astronomy.getLighting(date || getProvider().now(), latitude, longitude, height, !!script.highPrecision);
+    lighting.sunColor = colorToVec3(lighting.sunColor);
+    lighting.moonColor = colorToVec3(lighting.moonColor);
+    lighting.skyColor = colorToVec3(lighting.skyColor);
+    return lighting;
+}
+
+
+// drive LightSource components with the real sun, moon and sky light. returns a handle with stop()
+function createLightRig(options){
+    // settings
+    options = options || {};
+    const sunLight = options.sunLight;
+    const moonLight = options.moonLight;
+    const ambientLight = options.ambientLight;
+    const exposure = options.exposure; // lux at intensity 1, adaptive if not given
+    const intensity = options.intensity != null ? options.intensity : 1; // multiplier on all lights
+    const interval = options.interval != null ? options.interval : 1; // minimum time between lighting updates (s)
+
+    var lastUpdateTime;
+    const handle = {stop, lighting:null, sunWatch:null, moonWatch:null};
+
+    // the sun search also gives the location for the lighting
+    const watchOptions = {interval, onFail:options.onFail, gpsTimeout:options.gpsTimeout, headingTimeout:options.headingTimeout};
+    handle.sunWatch = watch("Sun", function(){}, watchOptions);
+    if(moonLight) handle.moonWatch = watch("Moon", function(){}, watchOptions);
+
+    const updateEvent = script.createEvent("UpdateEvent");
+    updateEvent.bind(function(){
+        const sunInfo = handle.sunWatch.info;
+        if(!sunInfo) return;
+
+        // light directions (every frame, as results can be re-aligned)
+        if(sunLight) sunLight.getTransform().setWorldRotation(sunInfo.directionalRot);
+        if(moonLight && handle.moonWatch.info) moonLight.getTransform().setWorldRotation(handle.moonWatch.info.directionalRot);
+
+        if(lastUpdateTime != null && getTime() - lastUpdateTime < interval) return;
+        lastUpdateTime = getTime();
+
+        // colours and intensities
+        const lighting = getLighting(null, sunInfo.userLatitude, sunInfo.userLongitude, sunInfo.userAltitude);
+        const brightest = Math.max(lighting.sunIlluminance, lighting.moonIlluminance, lighting.skyIlluminance);
+        const reference = exposure || brightest / getAdaptedBrightness(brightest); // lux at intensity 1
+        if(sunLight){
+            sunLight.color = lighting.sunColor;
+            sunLight.intensity = lighting.sunIlluminance / reference * intensity;
+        }
+        if(moonLight){
+            moonLight.color = lighting.moonColor;
+            moonLight.intensity = lighting.moonIlluminance / reference * intensity;
+        }
+        if(ambientLight){
+            ambientLight.color = lighting.skyColor;
+            ambientLight.intensity = lighting.skyIlluminance / reference * intensity;
+        }
+
+        handle.lighting = lighting;
+        if(options.onUpdate) options.onUpdate(lighting);
+    });
+
+    function stop(){
+        handle.sunWatch.stop();
+        if(handle.moonWatch) handle.moonWatch.stop();
+        script.removeEvent(updateEvent);
+    }
+
+    return handle;
+}
+
+
+
+// shadow of a point (vec3) or box ({min, max} in world space) on a plane, cast by the sun. returns null if there is no getSun/getMoon/getBody result yet, or the sun is below the plane
+function getShadow(target, options){
+    // settings
+    options = options || {};
+    const planePoint = options.planePoint || vec3.zero();
+    const planeNormal = (options.planeNormal || vec3.up()).normalize();
+
+    const sunDirection = getSunDirection(options);
+    if(!sunDirection) return null;
+    const sunHeight = sunDirection.dot(planeNormal);
+    if(sunHeight <= 0) return null;
+
+    // along the sunlight onto the plane, and straight down onto the plane
+    function project(point){
+        const height = Math.max(0, point.sub(planePoint).dot(planeNormal));
+        return point.sub(sunDirection.uniformScale(height / sunHeight));
+    }
+    function drop(point){
+        return point.sub(planeNormal.uniformScale(point.sub(planePoint).dot(planeNormal)));
+    }
+
+    // shadow direction on the plane (zero when the sun is straight above)
+    var direction = sunDirection.sub(planeNormal.uniformScale(sunHeight)).uniformScale(-1);
+    direction = direction.length > 1e-6 ? direction.normalize() : vec3.zero();
+
+    const corners = target.min ? getBoxCorners(target) : [target];
+    const points = corners.map(project);
+    const base = corners.map(drop);
+    const start = drop(target.min ? target.min.add(target.max).uniformScale(.5) : target);
+
+    // the furthest shadow point
+    var end = points[0];
+    for(var i = 1; i < points.length; i++){
+        if(points[i].sub(start).dot(direction) > end.sub(start).dot(direction)) end = points[i];
+    }
 
     return {
-        azimuth: (radToDeg(azimuth) + 180) % 360,
-        altitude: radToDeg(altitude),
-        distance: distance * AU_IN_CM // AU -> cm
+        start,
+        end,
+        length: end.sub(start).dot(direction),
+        direction,
+        points,
+        outline: getPlaneHull(base.concat(points), planePoint, planeNormal),
+        sunDirection
     };
 }
 
 
-// moon: get azimuth and altitude (degrees) based on date, lat, long
-function getMoonPosition(date, latitude, longitude){
-    function getMoonCoords(d){
-        // mean longitude
-        const L = degToRad(218.316 + 13.176396 * d);
-        // mean anomaly
-        const M = degToRad(134.963 + 13.064993 * d);
-        // distance
-        const dist = 385001 - 20905 * Math.cos(M);
-        // ecliptic latitude
-        const l = L + degToRad(6.289 * Math.sin(M));
-        // ecliptic latitude (approx. always near 0)
-        const b = degToRad(5.128 * Math.sin(degToRad(93.272 + 13.229350 * d)));
+// check if a world position is in direct sunlight, with a list of boxes ({min, max} in world space) that can block it. false if the sun is below the horizon, null if there is no getSun/getMoon/getBody result yet
+function isSunlit(point, occluders, options){
+    options = options || {};
+    const sunDirection = getSunDirection(options);
+    if(!sunDirection) return null;
+    if(sunDirection.y <= 0) return false;
+
+    // ray towards the sun through each box
+    for(var i = 0; i < (occluders || []).length; i++){
+        if(rayHitsBox(point, sunDirection, occluders[i])) return false;
+    }
+    return true;
+}
 
-        const ra = Math.atan2(Math.sin(l) * Math.cos(degToRad(23.44)) - Math.tan(b) * Math.sin(degToRad(23.44)), Math.cos(l));
-        const dec = Math.asin(Math.sin(b) * Math.cos(degToRad(23.44)) + Math.cos(b) * Math.sin(degToRad(23.44)) * Math.sin(l));
 
-        return { ra, dec, dist };
+// world space direction towards the sun, aligned like the latest result. from options.direction, or calculated for options.date (default now) at the latest location (or options.latitude and options.longitude). null if there is no result yet
+function getSunDirection(options){
+    if(options.direction) return options.direction.normalize();
+    if(!lastCalibration) return null;
+    const location = getPathLocation(options);
+    const position = getSunPosition(options.date || getProvider().now(), location.latitude, location.longitude, location.altitude);
+    return skyToWorld(position.azimuth, position.altitude, lastCalibration);
+}
+
+
+
+// use a fixed location instead of GPS (altitude in m, horizontalAccuracy in m, both optional). null to go back to GPS
+function setLocation(latitude, longitude, altitude, horizontalAccuracy){
+    if(latitude == null || longitude == null){
+        manualLocation = null;
+        return;
     }
+    manualLocation = {latitude, longitude, altitude:altitude || 0, horizontalAccuracy:horizontalAccuracy != null ? horizontalAccuracy : manualAccuracy, verticalAccuracy:null, source:"manual"};
+}
+
+
+// location to use when GPS fails (with the ErrorCode of why): the last known GPS location, or a guess from the time zone. null if fallback is disabled
+function getFallbackLocation(code){
+    if(!script.locationFallback) return null;
+    const fallback = getStoredLocation() || getTimeZoneLocation();
+    fallback.error = code;
+    return fallback;
+}
+
+
+// keep a GPS location for next sessions
+function storeLocation(position){
+    const store = global.persistentStorageSystem && global.persistentStorageSystem.store;
+    if(!store) return;
+    store.putString(storageKey, JSON.stringify({latitude:position.latitude, longitude:position.longitude, altitude:position.altitude, horizontalAccuracy:position.horizontalAccuracy, verticalAccuracy:position.verticalAccuracy, time:position.date.getTime()}));
+}
+
+
+// the last GPS location from this or earlier sessions, or null. 'age' is in seconds
+function getStoredLocation(){
+    const store = global.persistentStorageSystem && global.persistentStorageSystem.store;
+    if(!store || !store.has(storageKey)) return null;
+    const stored = JSON.parse(store.getString(storageKey));
+    const date = new Date(stored.time);
+    return {latitude:stored.latitude, longitude:stored.longitude, altitude:stored.altitude, horizontalAccuracy:stored.horizontalAccuracy, verticalAccuracy:stored.verticalAccuracy, source:"stored", date, age:(getProvider().now() - date) / 1000};
+}
+
 
-    const d = toDays(date);
-    const lw = degToRad(-longitude);
-    const phi = degToRad(latitude);
-    const moon = getMoonCoords(d);
-    const sidereal = getSiderealTime(d, lw);
-    const H = sidereal - moon.ra;
-    const { azimuth, altitude } = getAzAlt(H, phi, moon.dec);
+// rough location from the device's time zone: longitude from the standard offset, latitude from when daylight saving time is used (if at all)
+function getTimeZoneLocation(){
+    const now = getProvider().now();
+    const january = new Date(now.getFullYear(), 0, 1).getTimezoneOffset();
+    const july = new Date(now.getFullYear(), 6, 1).getTimezoneOffset();
+    const standardOffset = Math.max(january, july); // minutes behind UTC, without daylight saving time
+    const longitude = -standardOffset / 60 * 15; // 15 degrees per hour
 
+    var latitude = timeZoneLatitudes.none;
+    if(july < january) latitude = timeZoneLatitudes.north; // daylight saving time in july
+    if(january < july) latitude = timeZoneLatitudes.south;
+
+    return {latitude, longitude, altitude:0, horizontalAccuracy:timeZoneAccuracy, verticalAccuracy:null, source:"timezone", date:now};
+}
+
+
+
+// let the user center the real sun or moon on screen and confirm, to solve this device's heading offset and tilt compensation. returns a handle with confirm() and stop()
+function calibrateHeading(body, options){
+    body = body || "Sun";
+    const orbType = getOrbType(body);
+    if(!orbType) throw(title + unknownBody + " (" + body + ")");
+
+    // settings
+    options = options || {};
+    const camera = options.camera || cam;
+    if(!camera) throw(title + noCamera);
+
+    var stopped = false;
+    const samples = []; // {residual, tilt, frontCamera} per confirmation
+    const handle = {confirm, stop, info:null, calibration:null}; // 'info' is set once the location and heading are known
+
+    // the search gives the location, and makes sure the compass works
+    const cancelSearch = getOrb(orbType, function(info){
+        if(stopped) return;
+        handle.info = info;
+        if(options.onReady) options.onReady(info);
+    }, function(err){
+        if(!stopped && options.onFail) options.onFail(err);
+    }, options); // timeouts
+
+    // the body is centered on screen now. returns the new calibration, or null if there is no location or reliable heading yet, or the camera isn't pointing at the body
+    function confirm(){
+        if(stopped) throw(title + calibrationStopped);
+        if(!handle.info || !isHeadingReady()) return null; // also updates the tilt
+
+        // average of the recent compass readings, instead of a single noisy one
+        const now = getTime();
+        const recentSamples = headingSamples.filter(function(sample){ return now - sample.time <= headingWindow });
+        if(recentSamples.length < minHeadingSamples) return null;
+        const estimate = getHeadingEstimate(recentSamples);
+        if(estimate.confidence < minCalibrationConfidence) return null;
+
+        // center of view
+        const worldPosition = camera.screenSpaceToWorldSpace(new vec2(.5, .5), camera.far * skyAnchorDistance);
+        const direction = worldPosition.sub(camera.getTransform().getWorldPosition()).normalize();
+        const view = worldToSky(direction, {heading:0, fwdAngle:getForwardAngle(), frontCameraFlip:false});
+
+        const orbSky = getOrbSky(orbType, getProvider().now(), lastPosition.latitude, lastPosition.longitude, lastPosition.altitude);
+        if(Math.abs(view.altitude - orbSky.altitude) > calibrationAltitudeTolerance) return null;
+
+        // the corrected heading that would have put the body here, minus the raw heading (the averaged heading without the current correction, flipped on front cam like in correctHeading)
+        const heading = frontCameraFlip ? 180 - orbSky.azimuth - view.azimuth : orbSky.azimuth - view.azimuth;
+        const correction = getHeadingCorrection();
+        const rawHeading = estimate.offset - radToDeg(getForwardAngle()) - correction.headingOffset + radToDeg(tilt || 0) * correction.tiltFactor;
+        samples.push({residual:wrapDegrees(heading - rawHeading), tilt:radToDeg(tilt || 0)});
+
+        // apply to all later results
+        headingCorrection = solveHeadingCorrection(samples);
+        storeHeadingCorrection(headingCorrection);
+        onWorldChanged("headingCalibration"); // older heading samples used the previous correction
+        handle.calibration = getHeadingCalibration();
+        return handle.calibration;
+    }
+
+    function stop(){
+        stopped = true;
+        cancelSearch(); // its result would still update the latest infos
+    }
+
+    return handle;
+}
+
+
+// fit residual = headingOffset - tilt * tiltFactor to calibration samples. the tilt compensation is only solved when the tilt varied enough, otherwise the current one is kept
+function solveHeadingCorrection(samples){
+    const reference = samples[0].residual;
+    const current = getHeadingCorrection();
+
+    // unwrap around the first sample
+    var minTilt = Infinity;
+    var maxTilt = -Infinity;
+    var tiltSum = 0;
+    var residualSum = 0;
+    const residuals = samples.map(function(sample){
+        const residual = angleDifference(sample.residual, reference);
+        minTilt = Math.min(minTilt, sample.tilt);
+        maxTilt = Math.max(maxTilt, sample.tilt);
+        tiltSum += sample.tilt;
+        residualSum += residual;
+        return residual;
+    });
+    const tiltMean = tiltSum / samples.length;
+    const residualMean = residualSum / samples.length;
+
+    // least squares slope
+    var tiltFactor = current.tiltFactor;
+    const solveTilt = maxTilt - minTilt >= minCalibrationTiltRange;
+    if(solveTilt){
+        var covariance = 0;
+        var variance = 0;
+        for(var i = 0; i < samples.length; i++){
+            covariance += (samples[i].tilt - tiltMean) * (residuals[i] - residualMean);
+            variance += (samples[i].tilt - tiltMean) * (samples[i].tilt - tiltMean);
+        }
+        tiltFactor = -covariance / variance;
+    }
+    const offset = residualMean + tiltMean * tiltFactor;
+
+    // remaining error
+    var squaredError = 0;
+    for(var i = 0; i < samples.length; i++){
+        const error = residuals[i] - (offset - samples[i].tilt * tiltFactor);
+        squaredError += error * error;
+    }
+
+    return {
+        headingOffset: wrapDegrees(reference + offset),
+        tiltFactor,
+        maxTilt: solveTilt ? Math.max(radToDeg(uprightThreshold), Math.abs(minTilt), Math.abs(maxTilt)) : current.maxTilt, // compensation is only known within the measured range
+        accuracy: Math.sqrt(squaredError / samples.length),
+        samples: samples.length,
+        date: getProvider().now()
+    };
+}
+
+
+// this device's calibration from calibrateHeading (as {headingOffset, tiltFactor, maxTilt, accuracy, samples, date, deviceType}), or null when using the defaults
+function getHeadingCalibration(){
+    if(!headingCorrection) return null;
+    const calibration = Object.assign({}, headingCorrection);
+    calibration.deviceType = getDeviceType();
+    return calibration;
+}
+
+
+// forget this device's calibration, and go back to the defaults
+function resetHeadingCalibration(){
+    headingCorrection = null;
+    const store = global.persistentStorageSystem && global.persistentStorageSystem.store;
+    if(store && store.has(calibrationStorageKey + getDeviceType())) store.remove(calibrationStorageKey + getDeviceType());
+    onWorldChanged("headingCalibration");
+}
+
+
+// heading correction in use: calibrated, or the defaults measured on specific devices
+function getHeadingCorrection(){
+    if(headingCorrection) return headingCorrection;
+    return {
+        headingOffset: specs && flipHeadingOnSpectacles ? 180 : 0,
+        tiltFactor: tiltHeadingOffset / 2 / radToDeg(1), // heading degrees per degree of tilt
+        maxTilt: radToDeg(uprightThreshold)
+    };
+}
+
+
+// keep the calibration for next sessions on the same type of device
+function storeHeadingCorrection(correction){
+    const store = global.persistentStorageSystem && global.persistentStorageSystem.store;
+    if(!store) return;
+    store.putString(calibrationStorageKey + getDeviceType(), JSON.stringify({headingOffset:correction.headingOffset, tiltFactor:correction.tiltFactor, maxTilt:correction.maxTilt, accuracy:correction.accuracy, samples:correction.samples, time:correction.date.getTime()}));
+}
+
+
+// the calibration from an earlier session on this type of device, or null
+function loadHeadingCorrection(){
+    const store = global.persistentStorageSystem && global.persistentStorageSystem.store;
+    if(!store || !store.has(calibrationStorageKey + getDeviceType())) return null;
+    const stored = JSON.parse(store.getString(calibrationStorageKey + getDeviceType()));
+    return {headingOffset:stored.headingOffset, tiltFactor:stored.tiltFactor, maxTilt:stored.maxTilt, accuracy:stored.accuracy, samples:stored.samples, date:new Date(stored.time)};
+}
+
+
+
+// record GPS fixes, compass readings and results, to find out what went wrong on a device. returns a handle with stop(), exportJSON() and exportCSV(). starting a new recording stops the previous one
+function startRecording(options){
+    // settings
+    options = options || {};
+    const maxEntries = options.maxEntries || maxRecordingEntries;
+    const headings = options.headings != null ? options.headings : true; // record each compass reading
+
+    const entries = [];
+    const handle = {stop, entries, exportJSON, exportCSV};
+
+    const current = {add:function(entry){
+        if(entry.type == "heading" && !headings) return;
+        entries.push(Object.assign({type:entry.type, time:getTime(), date:getProvider().now().getTime()}, entry));
+        if(entries.length > maxEntries) entries.shift();
+    }};
+    recording = current;
+
+    function stop(){
+        if(recording == current) recording = null;
+    }
+
+    // everything, including what's needed for replay
+    function exportJSON(){
+        return JSON.stringify({deviceType:getDeviceType(), entries});
+    }
+
+    // one row per entry, for spreadsheets (can't be replayed)
+    function exportCSV(){
+        const rows = [recordingColumns.join(",")];
+        entries.forEach(function(entry){
+            rows.push(recordingColumns.map(function(column){
+                const value = getRecordingValue(entry, column);
+                return value == null ? "" : value;
+            }).join(","));
+        });
+        return rows.join("\n");
+    }
+
+    return handle;
+}
+
+
+// recalculate the results in a recording (a Recording handle, or its exportJSON string) with interpretTrackingData, using the exact recorded heading samples, device rotation, camera and location. returns a list of {info, recorded, difference (degrees)}
+function replay(data){
+    if(typeof data == "string") data = JSON.parse(data);
+    if(!data || !data.entries) throw(title + invalidRecording);
+
+    const highPrecision = script.highPrecision;
+    const results = [];
+    try{
+        data.entries.forEach(function(entry){
+            if(entry.type != "result") return;
+            const orbType = getOrbType(entry.body);
+            if(!orbType) throw(title + unknownBody + " (" + entry.body + ")");
+
+            const position = Object.assign({}, entry.position, {date:entry.position.date != null ? new Date(entry.position.date) : null});
+            script.highPrecision = entry.highPrecision;
+            const info = interpretTrackingData(orbType, position, new Date(entry.date), entry.state);
+            const recordedDirection = new vec3(entry.direction.x, entry.direction.y, entry.direction.z);
+            results.push({info, recorded:entry, difference:radToDeg(info.direction.angleTo(recordedDirection))});
+        });
+    }finally{
+        script.highPrecision = highPrecision;
+    }
+    return results;
+}
+
+
+// value of a recording entry in a CSV column
+function getRecordingValue(entry, column){
+    const position = entry.position || {};
+    const forward = entry.forward || {};
+    const direction = entry.direction || {};
+    if(column == "date") return new Date(entry.date).toISOString();
+    if(column == "latitude" || column == "longitude" || column == "horizontalAccuracy" || column == "verticalAccuracy" || column == "source") return position[column];
+    if(column == "userAltitude") return position.altitude;
+    if(column == "forwardX") return forward.x;
+    if(column == "forwardY") return forward.y;
+    if(column == "forwardZ") return forward.z;
+    if(column == "directionX") return direction.x;
+    if(column == "directionY") return direction.y;
+    if(column == "directionZ") return direction.z;
+    return entry[column];
+}
+
+
+
+// use another location, heading and clock source (like a mock provider). null to go back to the device
+function setProvider(newProvider){
+    if(newProvider && (typeof newProvider.getCurrentPosition != "function" || typeof newProvider.startHeading != "function" || typeof newProvider.now != "function")) throw(title + invalidProvider);
+    provider = newProvider || null;
+
+    // forget data from the previous provider
+    foundHeading = null;
+    foundHeadingTime = null;
+    headingSamples = [];
+    latestInfos = {};
+    pendingRealign = null;
+    lastPosition = null;
+    lastCalibration = null;
+    headingProvider = null;
+
+    // a pending search continues with the new provider
+    if(acquisition){
+        startHeading();
+        acquisition.restart();
+    }
+}
+
+
+// get the current provider, creates the device provider on first use
+function getProvider(){
+    if(!provider) provider = createDeviceProvider();
+    return provider;
+}
+
+
+// make sure the heading comes from the current provider
+function startHeading(){
+    const p = getProvider();
+    if(headingProvider == p) return;
+    headingProvider = p;
+    p.startHeading(function(h){
+        if(headingProvider != p) return; // provider was replaced
+        foundHeading = h;
+        foundHeadingTime = getTime(); // timestamp to check if data is recent enough
+        addHeadingSample(h);
+    });
+}
+
+
+// location, heading and clock from the device
+function createDeviceProvider(){
+    var locationService; // created once on first request
+    function getLocationService(){
+        if(!locationService){
+            locationService = GeoLocation.createLocationService();
+            locationService.accuracy = GeoLocationAccuracy.Low;
+        }
+        return locationService;
+    }
+
+    return {
+        getCurrentPosition: function(onSuccess, onFail){
+            getLocationService().getCurrentPosition(onSuccess, onFail);
+        },
+        startHeading: function(onHeading){
+            getLocationService().onNorthAlignedOrientationUpdate.add(function(h){
+                onHeading(GeoLocation.getNorthAlignedHeading(h));
+            });
+        },
+        now: function(){
+            return new Date();
+        }
+    };
+}
+
+
+// simulated location, heading and clock, for Lens Studio preview and testing. values can be numbers, or functions of the time since creation (s)
+function createMockProvider(options){
+    options = options || {};
+    const startTime = getTime();
+    const startDate = options.date ? new Date(options.date) : new Date();
+    const timeScale = options.timeScale == null ? 1 : options.timeScale;
+    var failuresLeft = options.gpsFailures || 0;
+
+    // seconds since creation
+    function elapsed(){
+        return getTime() - startTime;
+    }
+
+    // number or function of elapsed time
+    function getValue(value, fallback){
+        if(typeof value == "function") return value(elapsed());
+        return value == null ? fallback : value;
+    }
+
+    const mock = {
+        getCurrentPosition: function(onSuccess, onFail){
+            const delayed = script.createEvent("DelayedCallbackEvent"); // respond asynchronously, like a real GPS request
+            delayed.bind(function(){
+                script.removeEvent(delayed);
+                if(failuresLeft > 0){
+                    failuresLeft--;
+                    onFail(options.gpsError || mockGPSFailure);
+                    return;
+                }
+                onSuccess({
+                    latitude: getValue(options.latitude, 0),
+                    longitude: getValue(options.longitude, 0),
+                    altitude: getValue(options.altitude, 0),
+                    horizontalAccuracy: getValue(options.horizontalAccuracy, 5),
+                    verticalAccuracy: getValue(options.verticalAccuracy, 5),
+                    timestamp: mock.now()
+                });
+            });
+            delayed.reset(getValue(options.gpsDelay, 0));
+        },
+        startHeading: function(onHeading){
+            const headingEvent = script.createEvent("UpdateEvent");
+            headingEvent.bind(function(){
+                if(provider != mock){ // no longer in use
+                    script.removeEvent(headingEvent);
+                    return;
+                }
+                onHeading(getValue(options.heading, 0));
+            });
+        },
+        now: function(){
+            return new Date(startDate.getTime() + (getValue(options.timeOffset, 0) + elapsed() * timeScale) * 1000);
+        },
+        fail: function(count){ // let the next GPS requests fail (default 1)
+            failuresLeft = count == null ? 1 : count;
+        }
+    };
+    return mock;
+}
+
+
+
+// add a custom orb, or replace an existing one. getPosition(date, latitude, longitude, height) should return {azimuth, altitude, distance} (degrees, cm), and optionally ra, dec, magnitude and accuracy
+function registerBody(name, getPosition, getDetails){
+    if(typeof name != "string" || typeof getPosition != "function") throw(title + invalidBody);
+    const existing = getOrbType(name);
+    if(existing){
+        existing.getPosition = getPosition;
+        existing.getDetails = getDetails;
+        return existing;
+    }
+    const orbType = {name, getPosition, getDetails};
+    OrbType[name] = orbType;
+    return orbType;
+}
+
+
+
+// get sky location of any orb, without needing device tracking or GPS. 'body' is the orb name (like "Sun", "Moon" or "Venus")
+function computeSky(body, date, latitude, longitude, height){
+    const orbType = getOrbType(body);
+    if(!orbType) throw(title + unknownBody + " (" + body + ")");
+    return getOrbSky(orbType, date || getProvider().now(), latitude, longitude, height);
+}
+
+
+// sample the sky path of an orb between two dates, with markers on each whole hour (device time)
+function getPath(body, start, end, options){
+    const orbType = getOrbType(body);
+    if(!orbType) throw(title + unknownBody + " (" + body + ")");
+    options = options || {};
+    const location = getPathLocation(options);
+    const step = (options.step || 10) * 60 * 1000; // minutes to ms
+    start = new Date(start).getTime();
+    end = new Date(end).getTime();
+
+    const points = [];
+    for(var t = start; t < end; t += step) points.push(getPathPoint(orbType, new Date(t), location));
+    points.push(getPathPoint(orbType, new Date(end), location));
+
+    // whole hours
+    const markers = [];
+    const hour = new Date(start);
+    hour.setMinutes(0, 0, 0);
+    if(hour.getTime() < start) hour.setHours(hour.getHours() + 1);
+    while(hour.getTime() <= end){
+        const marker = getPathPoint(orbType, new Date(hour.getTime()), location);
+        marker.hour = hour.getHours();
+        markers.push(marker);
+        hour.setHours(hour.getHours() + 1);
+    }
+
+    return {points, markers};
+}
+
+
+// sample an orb at the same time of day throughout the year (the sun makes a figure-8), with markers on the first sample of each month
+function getAnalemma(date, options){
+    options = options || {};
+    const body = options.body || "Sun";
+    const orbType = getOrbType(body);
+    if(!orbType) throw(title + unknownBody + " (" + body + ")");
+    const location = getPathLocation(options);
+    const days = options.days || 365;
+    const step = options.step || 1; // days
+    date = date || getProvider().now();
+
+    const points = [];
+    const markers = [];
+    var lastMonth;
+    for(var i = 0; i < days; i += step){
+        const point = getPathPoint(orbType, new Date(date.getTime() + i * 24 * 60 * 60 * 1000), location);
+        points.push(point);
+
+        const month = point.date.getMonth();
+        if(month != lastMonth){
+            if(lastMonth != null){
+                const marker = Object.assign({}, point);
+                marker.month = month;
+                markers.push(marker);
+            }
+            lastMonth = month;
+        }
+    }
+
+    return {points, markers};
+}
+
+
+// location for paths: from options, or from the latest result
+function getPathLocation(options){
+    if(options.latitude != null && options.longitude != null) return {latitude:options.latitude, longitude:options.longitude, altitude:options.height || 0};
+    if(!lastPosition) throw(title + noLocation);
+    return lastPosition;
+}
+
+
+// one path sample. 'direction' is in world space like getSun/getMoon results (null until there is a result), 'localDirection' is not oriented to the device
+function getPathPoint(orbType, date, location){
+    const position = orbType.getPosition(date, location.latitude, location.longitude, location.altitude);
     return {
-        azimuth: (radToDeg(azimuth) + 180) % 360,
-        altitude: radToDeg(altitude),
-        distance: moon.dist * 100000 // km -> cm
+        date,
+        azimuth: position.azimuth,
+        altitude: position.altitude,
+        direction: lastCalibration ? skyToWorld(position.azimuth, position.altitude, lastCalibration) : null,
+        localDirection: orbDirection(position.azimuth, position.altitude),
+        isAboveHorizon: position.altitude > 0
     };
 }
 
 
+// get orb position and extra details at date, lat, long. 'direction' is local (not oriented to the device): -z = north, x = east, y = up
+function getOrbSky(orbType, date, latitude, longitude, height){
+    const position = orbType.getPosition(date, latitude, longitude, height);
+    const sky = {
+        azimuth: position.azimuth,
+        altitude: position.altitude,
+        distance: position.distance,
+        ra: position.ra,
+        dec: position.dec,
+        direction: orbDirection(position.azimuth, position.altitude),
+        magnitude: position.magnitude,
+        angularDiameter: position.angularDiameter != null ? position.angularDiameter : (position.radius ? Astronomy.getAngularDiameter(position.radius, position.distance) : null), // apparent size (degrees)
+        expectedError: (position.accuracy || 0) + (position.refraction ? position.refraction * .1 : Astronomy.getRefraction(position.altitude)), // expected error (degrees). refraction is either missing, or uncertain by ~10% (weather)
+        highPrecision: !!script.highPrecision,
+        date,
+        name: orbType.name
+    };
+    if(orbType.getDetails){
+        const details = orbType.getDetails(date);
+        if(position.parallacticAngle != null) details.brightLimbZenithAngle = (details.brightLimbAngle - position.parallacticAngle + 360) % 360;
+        addDetails(sky, details);
+    }
+    return sky;
+}
+
+
+
+// sun: get azimuth and altitude (degrees) based on date, lat, long (and height in m, only used in high precision mode)
+function getSunPosition(date, latitude, longitude, height){
+    return Astronomy.getSunPosition(date, latitude, longitude, height, !!script.highPrecision);
+}
+
+
+// moon: get azimuth and altitude (degrees) based on date, lat, long (and height in m, only used in high precision mode)
+function getMoonPosition(date, latitude, longitude, height){
+    return Astronomy.getMoonPosition(date, latitude, longitude, height, !!script.highPrecision);
+}
+
+
+// planets: add all planets to the orb types
+function registerPlanets(){
+    Astronomy.planetNames.forEach(function(name){
+        registerBody(name, function(date, latitude, longitude, height){
+            return Astronomy.getPlanetPosition(name, date, latitude, longitude, height, !!script.highPrecision);
+        });
+    });
+}
+registerPlanets();
+
+
+
+// stars: get catalog stars, brightest first (optionally only up to a magnitude)
+function getStars(maxMagnitude){
+    if(maxMagnitude == null) return StarCatalog.stars;
+    return StarCatalog.stars.filter(function(star){ return star.magnitude <= maxMagnitude; });
+}
+
+
+// constellations: get all constellation line figures
+function getConstellations(){
+    return StarCatalog.constellations;
+}
+
+
 
 // helpers
 
@@ -432,11 +2337,31 @@ function getMoonPosition(date, latitude, longitude){
         const invMat = tracking.getTransform().getInvertedWorldTransform();
         const zPos = invMat.multiplyPoint(worldPosition); // is positive when possibly in camera frustum (in front of camera)
         const isInFront = zPos.z < 0; // if screen space element cannot be visible currently because of camera angle
-        var position = cam.worldSpaceToScreenSpace(worldPosition); // get (0-1, inversed y-axis) screen position
-        position = new vec2((position.x - .5)*2, (1-position.y - .5)*2); // remap to (-1 - 1)
+        const position = toScreenSpace(cam, worldPosition);
         return {position, isInFront};
     }
 
+    // world position to screen space (-1 to 1) of a camera
+    function toScreenSpace(camera, worldPosition){
+        const position = camera.worldSpaceToScreenSpace(worldPosition); // get (0-1, inversed y-axis) screen position
+        return new vec2((position.x - .5)*2, (1-position.y - .5)*2); // remap to (-1 - 1)
+    }
+
+    // find orb data by name (case-insensitive)
+    function getOrbType(name){
+        if(typeof name != "string") return;
+        for(const key in OrbType){
+            if(key.toLowerCase() == name.toLowerCase()) return OrbType[key];
+        }
+    }
+
+    // copy extra details (like moon phase) onto an info object, without overwriting existing data
+    function addDetails(info, details){
+        for(const key in details){
+            if(info[key] == null) info[key] = details[key];
+        }
+    }
+
     // rotate vec around Y-axis by degree
     function rotateY(vec, degrees){
         let rad = degToRad(degrees);
@@ -447,12 +2372,19 @@ function getMoonPosition(date, latitude, longitude){
 
     // convert azimuth and altitude to vec
     function orbDirection(azimuthDeg, altitudeDeg){
-        let az = degToRad(azimuthDeg);
-        let alt = degToRad(altitudeDeg);
-        let x = Math.cos(alt) * Math.sin(az); // east-west
-        let y = Math.sin(alt); // up-down
-        let z = -Math.cos(alt) * Math.cos(az); // north-south
-        return new vec3(x, y, z);
+        const dir = Astronomy.getDirection(azimuthDeg, altitudeDeg);
+        return new vec3(dir.x, dir.y, dir.z);
+    }
+
+    // check if heading data is recent and the device is upright
+    function isHeadingReady(){
+        if(headingSamples.length >= minHeadingSamples && foundHeading != null && checkTimeStamp(foundHeadingTime, headingLifetime) && !checkTilt()) return true;
+    }
+
+    // user rotation around y in world space (flattened, radians)
+    function getForwardAngle(){
+        const fwd = tracking.getTransform().forward;
+        return Math.atan2(fwd.x, fwd.z);
     }
 
     // check if a timestamp is over threshold
@@ -474,39 +2406,108 @@ function getMoonPosition(date, latitude, longitude){
         var det = refRight.dot(projectedUp);
         var offsetAngle = Math.atan2(det, dot);
         tilt = offsetAngle; // store to make compensation possible later
-        if(Math.abs(offsetAngle) > uprightThreshold){
+        if(Math.abs(offsetAngle) > degToRad(getHeadingCorrection().maxTilt)){
             return true;
         }
     }
 
-    function remap(value, low1, high1, low2, high2){
-        low2 = low2 == null ? 0 : low2;
-        high2 = high2 == null ? 1 : high2;
-        return low2 + (high2 - low2) * (value - low1) / (high1 - low1);
+    const degToRad = Astronomy.degToRad;
+    const radToDeg = Astronomy.radToDeg;
+
+    // failure info for onFail callbacks and rejected promises. prints as its message
+    function createError(code, message, cause){
+        return {code, message, cause, toString:function(){ return message; }};
     }
 
-    const dayMs = 1000 * 60 * 60 * 24;
-    const J1970 = 2440588;
-    const J2000 = 2451545;
-    const DEG_TO_RAD = 0.01745329251; // ~ pi/180
-    const RAD_TO_DEG = 57.2957795131; // ~ 180/pi
-    function degToRad(deg){
-        return deg * DEG_TO_RAD;
+    // check if a location error is about missing permission
+    function isPermissionError(err){
+        return /permission|denied|authori[sz]|not allowed/i.test(String(err));
     }
-    function radToDeg(rad){
-        return rad * RAD_TO_DEG;
+
+    // convert {r, g, b} to vec3
+    function colorToVec3(color){
+        return new vec3(color.r, color.g, color.b);
     }
-    function toJulian(date){
-        return date.getTime() / dayMs - 0.5 + J1970;
+
+    // overall scene brightness (0-1) for an illuminance (lux), like eyes adapting to the dark: from nightBrightness at .001 lux (starlight) to 1 at 100000 lux (sunlight)
+    function getAdaptedBrightness(illuminance){
+        const t = Math.max(0, Math.min(1, (Math.log10(illuminance) + 3) / 8));
+        return nightBrightness + (1 - nightBrightness) * t;
     }
-    function toDays(date){
-        return toJulian(date) - J2000;
+
+    // the 8 corners of a box {min, max}
+    function getBoxCorners(box){
+        const corners = [];
+        for(var i = 0; i < 8; i++) corners.push(new vec3(i & 1 ? box.max.x : box.min.x, i & 2 ? box.max.y : box.min.y, i & 4 ? box.max.z : box.min.z));
+        return corners;
     }
-    function getSiderealTime(d, lw){
-        return degToRad(280.16 + 360.9856235 * d) - lw;
+
+    // convex outline (counter-clockwise seen from above) of points on a plane
+    function getPlaneHull(points, planePoint, planeNormal){
+        const u = planeNormal.cross(Math.abs(planeNormal.y) < .99 ? vec3.up() : vec3.right()).normalize();
+        const v = planeNormal.cross(u);
+        const flat = points.map(function(point){
+            const offset = point.sub(planePoint);
+            return {point, x:offset.dot(u), y:offset.dot(v)};
+        }).sort(function(a, b){ return a.x - b.x || a.y - b.y; });
+
+        // monotone chain
+        function cross(o, a, b){
+            return (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+        }
+        function half(list){
+            const hull = [];
+            list.forEach(function(p){
+                while(hull.length >= 2 && cross(hull[hull.length - 2], hull[hull.length - 1], p) <= 0) hull.pop();
+                hull.push(p);
+            });
+            hull.pop(); // first point of the other half
+            return hull;
+        }
+        return half(flat).concat(half(flat.slice().reverse())).map(function(p){ return p.point; });
+    }
+
+    // check if a ray from origin along direction (normalized) passes through a box {min, max}, ignoring the surface the origin is on
+    function rayHitsBox(origin, direction, box){
+        var near = -Infinity;
+        var far = Infinity;
+        const axes = ["x", "y", "z"];
+        for(var i = 0; i < 3; i++){
+            const axis = axes[i];
+            if(Math.abs(direction[axis]) < 1e-9){
+                if(origin[axis] < box.min[axis] || origin[axis] > box.max[axis]) return false; // parallel, and outside
+                continue;
+            }
+            const t1 = (box.min[axis] - origin[axis]) / direction[axis];
+            const t2 = (box.max[axis] - origin[axis]) / direction[axis];
+            near = Math.max(near, Math.min(t1, t2));
+            far = Math.min(far, Math.max(t1, t2));
+        }
+        return near <= far && far > 1e-3; // cm
+    }
+
+    // plain copies for recordings
+    function positionToObject(position){
+        return {latitude:position.latitude, longitude:position.longitude, altitude:position.altitude, horizontalAccuracy:position.horizontalAccuracy, verticalAccuracy:position.verticalAccuracy, source:position.source || "gps", error:position.error || null, date:position.date ? position.date.getTime() : null};
+    }
+
+    function vecToObject(v){
+        return {x:v.x, y:v.y, z:v.z};
+    }
+
+    // calibrations are kept per type of device, as the compass offsets differ per hardware
+    function getDeviceType(){
+        if(specs) return "Spectacles";
+        const deviceInfo = global.deviceInfoSystem;
+        return deviceInfo.getOS ? String(deviceInfo.getOS()) : "Device";
+    }
+
+    // wrap angle to 0-360 degrees
+    function wrapDegrees(degrees){
+        return ((degrees % 360) + 360) % 360;
+    }
+
+    // shortest signed difference from angle b to angle a (degrees, -180 to 180)
+    function angleDifference(a, b){
+        return wrapDegrees(a - b + 180) - 180;
     }
-    function getAzAlt(H, phi, dec){
-        const altitude = Math.asin(Math.sin(phi) * Math.sin(dec) + Math.cos(phi) * Math.cos(dec) * Math.cos(H));
-        const azimuth = Math.atan2(Math.sin(H), Math.cos(H) * Math.sin(phi) - Math.tan(dec) * Math.cos(phi));
-        return { azimuth, altitude };
-    }
\ No newline at end of file
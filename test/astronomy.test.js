@@ -0,0 +1,200 @@
+// Max van Leeuwen
+//  maxvanleeuwen.com
+
+// Tests for Sun Moon Astronomy.js, against fixed reference values.
+// positions.json and times.json were generated with astronomy-engine (Don Cross, github.com/cosinekitty/astronomy): airless topocentric azimuth/altitude and upper limb rise/set times.
+// The eclipse list (2024-2030) is NASA's (eclipse.gsfc.nasa.gov), with the times of greatest eclipse in UTC.
+
+
+
+process.env.TZ = "UTC"; // moon times are for the device-local day
+
+const test = require("node:test");
+const assert = require("node:assert");
+const Astronomy = require("../Sun Moon/Assets/Sun Moon Astronomy.js");
+const positions = require("./fixtures/positions.json"); // [date, latitude, longitude, body, azimuth, altitude]
+const times = require("./fixtures/times.json"); // [day, latitude, longitude, sunrise, sunset, moonrise, moonset] (null if it doesn't happen)
+
+const stars = [ // [date, latitude, longitude, name, ra, dec (J2000), azimuth, altitude (airless)], from astronomy-engine
+    ["2026-10-19T21:30:00Z", 78, 15.65, "Sirius", 101.287, -16.716, 88.625, -17.418],
+    ["2026-10-19T21:30:00Z", 78, 15.65, "Vega", 279.235, 38.784, 276.686, 38.416],
+    ["2026-10-19T21:30:00Z", 78, 15.65, "Polaris", 37.955, 89.264, 2.036, 78.467],
+    ["2026-10-19T21:30:00Z", 78, 15.65, "Canopus", 95.988, -52.696, 105.612, -51.014],
+    ["2040-01-15T03:10:00Z", -70, 11.8, "Sirius", 101.287, -16.716, 281.373, 21.929],
+    ["2040-01-15T03:10:00Z", -70, 11.8, "Vega", 279.235, 38.784, 89.094, -41.511],
+    ["2040-01-15T03:10:00Z", -70, 11.8, "Polaris", 37.955, 89.264, 358.545, -70.29],
+    ["2040-01-15T03:10:00Z", -70, 11.8, "Canopus", 95.988, -52.696, 256.042, 52.496],
+    ["2016-12-21T00:00:00Z", -16.5, 179.9, "Sirius", 101.287, -16.716, 199.521, -54.855],
+    ["2016-12-21T00:00:00Z", -16.5, 179.9, "Vega", 279.235, 38.784, 8.901, 33.99],
+    ["2016-12-21T00:00:00Z", -16.5, 179.9, "Polaris", 37.955, 89.264, 0.5, -16.957],
+    ["2016-12-21T00:00:00Z", -16.5, 179.9, "Canopus", 95.988, -52.696, 184.006, -20.584],
+    ["2031-07-04T15:45:00Z", 65.5, -179.9, "Sirius", 101.287, -16.716, 66.326, -28.524],
+    ["2031-07-04T15:45:00Z", 65.5, -179.9, "Vega", 279.235, 38.784, 261.342, 47.334],
+    ["2031-07-04T15:45:00Z", 65.5, -179.9, "Polaris", 37.955, 89.264, 1.396, 65.706],
+    ["2031-07-04T15:45:00Z", 65.5, -179.9, "Canopus", 95.988, -52.696, 98.119, -57.075]
+];
+
+const sunTimeTolerance = 10; // minutes, the analytic sun times use the declination at noon
+const moonTimeTolerance = {low:30, high:1}; // minutes
+
+const eclipses = [
+    ["lunar", "penumbral", "2024-03-25T07:12Z"],
+    ["solar", "total", "2024-04-08T18:17Z"],
+    ["lunar", "partial", "2024-09-18T02:44Z"],
+    ["solar", "annular", "2024-10-02T18:44Z"],
+    ["lunar", "total", "2025-03-14T06:58Z"],
+    ["solar", "partial", "2025-03-29T10:47Z"],
+    ["lunar", "total", "2025-09-07T18:11Z"],
+    ["solar", "partial", "2025-09-21T19:41Z"],
+    ["solar", "annular", "2026-02-17T12:11Z"],
+    ["lunar", "total", "2026-03-03T11:33Z"],
+    ["solar", "total", "2026-08-12T17:45Z"],
+    ["lunar", "partial", "2026-08-28T04:12Z"],
+    ["solar", "annular", "2027-02-06T15:59Z"],
+    ["lunar", "penumbral", "2027-02-20T23:12Z"],
+    ["lunar", "penumbral", "2027-07-18T16:02Z"],
+    ["solar", "total", "2027-08-02T10:06Z"],
+    ["lunar", "penumbral", "2027-08-17T07:13Z"],
+    ["lunar", "partial", "2028-01-12T04:13Z"],
+    ["solar", "annular", "2028-01-26T15:07Z"],
+    ["lunar", "partial", "2028-07-06T18:19Z"],
+    ["solar", "total", "2028-07-22T02:55Z"],
+    ["lunar", "total", "2028-12-31T16:51Z"],
+    ["solar", "partial", "2029-01-14T17:12Z"],
+    ["solar", "partial", "2029-06-12T04:04Z"],
+    ["lunar", "total", "2029-06-26T03:22Z"],
+    ["solar", "partial", "2029-07-11T15:36Z"],
+    ["solar", "partial", "2029-12-05T15:02Z"],
+    ["lunar", "total", "2029-12-20T22:41Z"],
+    ["solar", "annular", "2030-06-01T06:27Z"],
+    ["lunar", "partial", "2030-06-15T18:33Z"],
+    ["solar", "total", "2030-11-25T06:50Z"],
+    ["lunar", "penumbral", "2030-12-09T22:27Z"]
+];
+
+
+
+// positions
+
+function getPosition(body, date, latitude, longitude, precise){
+    if(body == "Sun") return Astronomy.getSunPosition(date, latitude, longitude, 0, precise);
+    if(body == "Moon") return Astronomy.getMoonPosition(date, latitude, longitude, 0, precise);
+    return Astronomy.getPlanetPosition(body, date, latitude, longitude, 0, precise);
+}
+
+for(const precise of [false, true]){
+    for(const body of ["Sun", "Moon", "planets"]){
+        test((body == "planets" ? "getPlanetPosition" : "get" + body + "Position") + (precise ? ", high precision" : ", low precision"), function(){
+            const rows = positions.filter(function(row){ return body == "planets" ? row[3] != "Sun" && row[3] != "Moon" : row[3] == body });
+            assert.ok(rows.length > 0);
+            for(const [date, latitude, longitude, name, azimuth, altitude] of rows){
+                const position = getPosition(name, new Date(date), latitude, longitude, precise);
+                const airless = position.altitude - (precise ? position.refraction : 0); // the reference has no refraction
+                const error = getSeparation(position.azimuth, airless, azimuth, altitude);
+                assert.ok(error <= position.accuracy, name + " at " + date + " (" + latitude + ", " + longitude + ") is off by " + error.toFixed(3) + " degrees, expected at most " + position.accuracy.toFixed(3));
+            }
+        });
+    }
+}
+
+for(const precise of [false, true]){
+    test("getRaDecPosition and getRaDec" + (precise ? ", high precision" : ", low precision"), function(){
+        for(const [date, latitude, longitude, name, ra, dec, azimuth, altitude] of stars){
+            const position = Astronomy.getRaDecPosition(ra, dec, new Date(date), latitude, longitude, 0, precise);
+            const error = getSeparation(position.azimuth, position.altitude - (precise ? position.refraction : 0), azimuth, altitude);
+            assert.ok(error <= position.accuracy, name + " at " + date + " is off by " + error.toFixed(3) + " degrees, expected at most " + position.accuracy.toFixed(3));
+
+            // and back
+            const raDec = Astronomy.getRaDec(position.azimuth, position.altitude, new Date(date), latitude, longitude, precise);
+            const roundTrip = getSeparation(raDec.ra, raDec.dec, ra, dec);
+            assert.ok(roundTrip < .02, name + " at " + date + " comes back " + roundTrip.toFixed(4) + " degrees off");
+        }
+    });
+}
+
+test("refraction only applies when precise", function(){
+    const date = new Date("2026-10-19T09:30:00Z");
+    assert.strictEqual(Astronomy.getSunPosition(date, 52.37, 4.9, 0, false).refraction, 0);
+    assert.ok(Astronomy.getSunPosition(date, 52.37, 4.9, 0, true).refraction > 0);
+});
+
+
+
+// rise and set
+
+for(const precise of [false, true]){
+    test("getTimes" + (precise ? ", high precision" : ", low precision"), function(){
+        for(const [day, latitude, longitude, sunrise, sunset, moonrise, moonset] of times){
+            const where = day + " (" + latitude + ", " + longitude + ")";
+
+            // the sun times are around the solar noon nearest to the given date, so ask at the location's noon
+            const noon = new Date(Date.parse(day + "T12:00:00Z") - longitude / 15 * 3600000);
+            const sun = Astronomy.getTimes(noon, latitude, longitude, precise);
+            assertTime(sun.sunrise, sunrise, sunTimeTolerance, "sunrise " + where);
+            assertTime(sun.sunset, sunset, sunTimeTolerance, "sunset " + where);
+
+            const moon = Astronomy.getTimes(new Date(day + "T12:00:00Z"), latitude, longitude, precise);
+            const tolerance = precise ? moonTimeTolerance.high : moonTimeTolerance.low;
+            assertTime(moon.moonrise, moonrise, tolerance, "moonrise " + where);
+            assertTime(moon.moonset, moonset, tolerance, "moonset " + where);
+        }
+    });
+}
+
+test("getTimes has no sunrise during polar day and night", function(){
+    for(const [day, latitude, longitude] of [["2024-06-21", 78, 15.65], ["2024-12-21", 78, 15.65], ["2024-06-21", -70, 11.8], ["2024-12-21", -70, 11.8]]){
+        const sun = Astronomy.getTimes(new Date(day + "T12:00:00Z"), latitude, longitude, false);
+        assert.strictEqual(sun.sunrise, null, day + " at " + latitude);
+        assert.strictEqual(sun.sunset, null, day + " at " + latitude);
+        assert.ok(sun.solarNoon instanceof Date);
+    }
+});
+
+
+
+// eclipses
+
+test("getEclipses finds every eclipse of 2024-2030", function(){
+    const found = Astronomy.getEclipses(new Date("2024-01-01T00:00:00Z"), 52.37, 4.9, 0, eclipses.length + 1);
+    assert.ok(found[eclipses.length].globalMaximum > new Date("2031-01-01T00:00:00Z"), "no extra eclipses");
+    for(var i = 0; i < eclipses.length; i++){
+        const [kind, type, maximum] = eclipses[i];
+        assert.strictEqual(found[i].kind, kind, maximum);
+        assert.strictEqual(found[i].type, type, maximum);
+        assertTime(found[i].globalMaximum, maximum, 2, kind + " eclipse " + maximum);
+    }
+});
+
+test("getEclipses gives the local circumstances (total solar eclipse in Dallas, 2024-04-08)", function(){
+    const eclipse = Astronomy.getEclipses(new Date("2024-04-01T00:00:00Z"), 32.78, -96.8, 0, 1)[0];
+    assert.strictEqual(eclipse.kind, "solar");
+    assert.strictEqual(eclipse.localType, "total");
+    assert.ok(eclipse.visible);
+    assertTime(eclipse.start, "2024-04-08T17:23:19Z", 2, "start");
+    assertTime(eclipse.maximum, "2024-04-08T18:42:37Z", 2, "maximum");
+    assertTime(eclipse.end, "2024-04-08T20:02:38Z", 2, "end");
+});
+
+
+
+// helpers
+
+    // angle (degrees) between two azimuth/altitude directions
+    function getSeparation(azimuth1, altitude1, azimuth2, altitude2){
+        const a1 = Astronomy.degToRad(altitude1);
+        const a2 = Astronomy.degToRad(altitude2);
+        const cos = Math.sin(a1) * Math.sin(a2) + Math.cos(a1) * Math.cos(a2) * Math.cos(Astronomy.degToRad(azimuth1 - azimuth2));
+        return Astronomy.radToDeg(Math.acos(Math.min(1, cos)));
+    }
+
+
+    // both null, or at most 'tolerance' minutes apart
+    function assertTime(date, expected, tolerance, message){
+        if(expected == null){
+            assert.strictEqual(date, null, message + " should not happen");
+            return;
+        }
+        assert.ok(date instanceof Date, message + " is missing");
+        const minutes = Math.abs(date - new Date(expected)) / 60000;
+        assert.ok(minutes <= tolerance, message + " is off by " + minutes.toFixed(1) + " minutes");
+    }